@@ -0,0 +1,105 @@
+// Benchmark: linear fuzzy scan vs. search index on a synthetic catalog
+// Usage: node benchmark-search.js [productCount] [rounds]
+
+const {
+  filterProductsWithFuzzy,
+  getSearchFields
+} = require('./index');
+const { buildSearchIndex } = require('./search-index');
+
+const PRODUCT_COUNT = parseInt(process.argv[2], 10) || 5000;
+const ROUNDS = parseInt(process.argv[3], 10) || 3;
+
+const STONES = ['amethyst', 'lapis lazuli', 'rose quartz', 'labradorite', 'turquoise', 'moonstone',
+  'garnet', 'citrine', 'aventurine', 'carnelian', 'hematite', 'jasper', 'agate', 'obsidian',
+  'malachite', 'fluorite', 'peridot', 'tourmaline', 'sodalite', 'amazonite', 'rhodonite', 'unakite'];
+const SHAPES = ['round', 'rondelle', 'chip', 'nugget', 'oval', 'coin', 'teardrop', 'cube'];
+const FINISHES = ['faceted', 'smooth', 'matte', 'polished', 'natural', 'dyed'];
+const FILLER = ['beautiful', 'strand', 'approximately', 'inches', 'quality', 'gemstone', 'beads',
+  'jewelry', 'making', 'bracelets', 'necklaces', 'earrings', 'drilled', 'hole', 'color', 'grade',
+  'healing', 'crystal', 'energy', 'calming', 'protection', 'wholesale', 'supplies', 'perfect'];
+
+const QUERIES = [
+  ['amethyst'],
+  ['amethist', 'round'],
+  ['labradoright'],
+  ['rose', 'quartz', 'faceted'],
+  ['turqoise', 'nugget'],
+  ['malachite', 'smooth', 'bracelets'],
+  ['hematitte', 'cube'],
+  ['wholesale', 'supplies']
+];
+
+// Deterministic pseudo-random numbers so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// Function to build a synthetic catalog shaped like fetchAllProductsFromMySQL output
+function buildCatalog(count) {
+  const products = [];
+  for (let i = 0; i < count; i++) {
+    const stone = pick(STONES);
+    const shape = pick(SHAPES);
+    const size = 2 + Math.floor(random() * 10) * 2;
+    const description = Array.from({ length: 40 }, () => pick(random() < 0.2 ? STONES : FILLER)).join(' ');
+    products.push({
+      id: `bench-${i}`,
+      title: `${pick(FINISHES)} ${stone} ${shape} beads ${size}mm sku${i}`,
+      description,
+      tags: `${stone}, ${shape}, ${size}mm`,
+      variants: []
+    });
+  }
+  return products;
+}
+
+// Function to time a function over all queries, in milliseconds per query
+function timeQueries(run) {
+  const startTime = process.hrtime.bigint();
+  for (let round = 0; round < ROUNDS; round++) {
+    QUERIES.forEach(run);
+  }
+  return Number(process.hrtime.bigint() - startTime) / 1e6 / (ROUNDS * QUERIES.length);
+}
+
+function main() {
+  const products = buildCatalog(PRODUCT_COUNT);
+  const log = console.log;
+  console.log = () => {}; // The matchers log heavily; keep it out of the timings
+
+  const indexStart = process.hrtime.bigint();
+  const searchIndex = buildSearchIndex(products, getSearchFields);
+  const indexMs = Number(process.hrtime.bigint() - indexStart) / 1e6;
+
+  // Compare result sets: the index must find at least what the linear scan finds
+  const differences = QUERIES.map(words => {
+    const linearIds = new Set(filterProductsWithFuzzy(products, words).map(p => p.id));
+    const indexedIds = new Set(filterProductsWithFuzzy(products, words, searchIndex).map(p => p.id));
+    const missing = [...linearIds].filter(id => !indexedIds.has(id)).length;
+    return { query: words.join(' '), linear: linearIds.size, indexed: indexedIds.size, missing };
+  });
+
+  const linearMs = timeQueries(words => filterProductsWithFuzzy(products, words));
+  const indexedMs = timeQueries(words => filterProductsWithFuzzy(products, words, searchIndex));
+
+  console.log = log;
+  console.log(`📦 Synthetic catalog: ${PRODUCT_COUNT} products, ${QUERIES.length} queries x ${ROUNDS} rounds`);
+  console.log(`🗂️ Index build: ${indexMs.toFixed(1)}ms`);
+  console.table(differences);
+  console.log(`🐢 Linear scan: ${linearMs.toFixed(2)}ms per query`);
+  console.log(`🚀 Search index: ${indexedMs.toFixed(2)}ms per query (${(linearMs / indexedMs).toFixed(1)}x faster)`);
+
+  if (differences.some(difference => difference.missing > 0)) {
+    console.error('❌ Search index missed products found by the linear scan');
+    process.exit(1);
+  }
+}
+
+main();
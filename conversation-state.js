@@ -0,0 +1,180 @@
+// Multi-turn conversation state for the Dialogflow CX webhook
+// Remembers each session's last query, the IDs of its results and page so follow-ups like
+// "show more", "tell me about the second one" or "only the 6mm ones" work. Only IDs are kept;
+// the webhook loads the products again when a follow-up needs them.
+
+const SESSION_TTL = 30 * 60 * 1000; // 30 minutes without activity
+const MAX_SESSIONS = 1000; // Oldest sessions are dropped beyond this
+
+const sessions = new Map();
+
+const ORDINAL_WORDS = {
+  first: 1, '1st': 1, one: 1,
+  second: 2, '2nd': 2, two: 2,
+  third: 3, '3rd': 3, three: 3,
+  fourth: 4, '4th': 4, four: 4,
+  fifth: 5, '5th': 5, five: 5,
+  sixth: 6, '6th': 6, six: 6,
+  seventh: 7, '7th': 7, seven: 7,
+  eighth: 8, '8th': 8, eight: 8,
+  ninth: 9, '9th': 9, nine: 9,
+  tenth: 10, '10th': 10, ten: 10,
+  last: -1
+};
+
+const MORE_PATTERN = /^(?:(?:can you |could you |please )?(?:show|see|give|send)(?: me)? )?(?:some |the )?(?:more|next(?: page| ones?)?|the rest|others|rest of them)(?: ones?| products?| results?| please)*[.!?]*$/i;
+const ORDINAL_PATTERN = /\b(?:the\s+)?(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|sixth|6th|seventh|7th|eighth|8th|ninth|9th|tenth|10th|last)(?:\s+(?:one|product|item|option))?\b|(?:number|#|no\.?)\s*(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i;
+// Words that may follow an ordinal in a reference ("the second item")
+const ORDINAL_REFERENCE_WORDS = new Set(['item', 'items', 'result', 'results', 'product', 'option']);
+const ORDINAL_CONTEXT_PATTERN = /^(?:(?:tell me|more|details?|info(?:rmation)?)(?: about| on| for)?|(?:show|give)(?: me)?|what about|how about|i(?:'d| would) like|i want|i'll take)?\s*(?:the\s+)?/i;
+const REFINE_PATTERN = /^(?:(?:show|give)(?: me)? )?(?:only|just)\s+(?:the\s+)?(.+?)[.!?]*$|^(?:what about|how about|do you have (?:them|it|those) in|in(?!\s+stock))\s+(.+?)[?.!]*$/i;
+// Words in a refinement that aren't search terms ("just the round ones please")
+const REFINE_FILLER_PATTERN = /\b(?:ones?|please|pls|thanks|thank you)\b/gi;
+
+// Function to get the session ID from a Dialogflow CX webhook request
+function getSessionId(body) {
+  if (body.sessionInfo && body.sessionInfo.session) {
+    return body.sessionInfo.session;
+  }
+  return body.session || null;
+}
+
+// Function to get the parameters Dialogflow CX sent with the request
+function getSessionParameters(body) {
+  return (body.sessionInfo && body.sessionInfo.parameters) || {};
+}
+
+// Function to detect a follow-up to the previous search
+// Returns { type: 'more' } | { type: 'ordinal', position } | { type: 'refine', refinement } | null
+function detectFollowUp(text) {
+  const cleaned = String(text || '').trim();
+  if (!cleaned) {
+    return null;
+  }
+
+  if (MORE_PATTERN.test(cleaned)) {
+    return { type: 'more' };
+  }
+
+  const ordinal = cleaned.match(ORDINAL_PATTERN);
+  if (ordinal) {
+    // Only treat it as a reference when nothing but the ordinal and a word like "one" is left,
+    // so searches like "first aid" or "amethyst first" aren't mistaken for one
+    const rest = cleaned
+      .replace(ordinal[0], ' ')
+      .replace(ORDINAL_CONTEXT_PATTERN, '')
+      .replace(REFINE_FILLER_PATTERN, ' ')
+      .replace(/[^a-z0-9]+/gi, ' ')
+      .trim()
+      .toLowerCase();
+    if (!rest || ORDINAL_REFERENCE_WORDS.has(rest)) {
+      const word = (ordinal[1] || ordinal[2]).toLowerCase();
+      const position = ORDINAL_WORDS[word] || parseInt(word, 10);
+      if (position) {
+        return { type: 'ordinal', position };
+      }
+    }
+  }
+
+  const refine = cleaned.match(REFINE_PATTERN);
+  if (refine) {
+    const refinement = (refine[1] || refine[2])
+      .replace(REFINE_FILLER_PATTERN, ' ')
+      .replace(/[\s,]+/g, ' ')
+      .trim();
+    if (refinement) {
+      return { type: 'refine', refinement };
+    }
+  }
+
+  return null;
+}
+
+// Function to key a variant - its Shopify ID, or its title for rows synced before IDs were stored
+function variantKey(variant) {
+  return variant.id || `title:${variant.title}`;
+}
+
+// Function to build a session's state from a search: the query, what the answers need from the
+// search (words, filters, attributes) and a reference per result - its product ID, and the
+// variants shown when the search narrowed them (e.g. to one size)
+function createSearchState(query, searchResult, offset = 0) {
+  return {
+    query,
+    search: {
+      originalText: searchResult.originalText,
+      searchWords: searchResult.searchWords,
+      appliedFilters: searchResult.appliedFilters,
+      attributes: searchResult.attributes
+    },
+    results: searchResult.products.map(product => ({
+      id: product.id,
+      variants: product.variantsNarrowed ? product.variants.map(variantKey) : null
+    })),
+    offset
+  };
+}
+
+// Function to turn result references back into products, narrowed as they were shown
+// productsById: Map of the products loaded again; results no longer found are left out
+function restoreResults(results, productsById) {
+  return results
+    .filter(result => productsById.has(result.id))
+    .map(result => {
+      const product = productsById.get(result.id);
+      if (!result.variants) {
+        return product;
+      }
+      const variants = (product.variants || []).filter(variant => result.variants.includes(variantKey(variant)));
+      return { ...product, variants, variantsNarrowed: true };
+    });
+}
+
+// Function to load a session's state (null when missing or expired)
+function getSessionState(sessionId) {
+  if (!sessionId || !sessions.has(sessionId)) {
+    return null;
+  }
+
+  const state = sessions.get(sessionId);
+  if (Date.now() - state.updatedAt > SESSION_TTL) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return state;
+}
+
+// Function to save a session's state
+function saveSessionState(sessionId, state) {
+  if (!sessionId) {
+    return;
+  }
+
+  // Re-insert so the Map stays ordered by last activity
+  sessions.delete(sessionId);
+  sessions.set(sessionId, { ...state, updatedAt: Date.now() });
+
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+}
+
+// Function to build the Dialogflow CX session parameters we send back
+function toSessionParameters(state) {
+  return {
+    last_query: state.query,
+    result_count: state.results.length,
+    page_offset: state.offset
+  };
+}
+
+module.exports = {
+  getSessionId,
+  getSessionParameters,
+  detectFollowUp,
+  createSearchState,
+  restoreResults,
+  getSessionState,
+  saveSessionState,
+  toSessionParameters
+};
@@ -0,0 +1,135 @@
+// Cron expressions for scheduled syncs
+// Standard five fields: minute hour day-of-month month day-of-week, in the server's local time.
+// Each field takes *, a number, a range (1-5), a step (*/15, 0-30/10) or a comma list of those.
+// Day of week is 0-7 (0 and 7 are Sunday). As in cron, when both day fields are restricted (not
+// starting with *, so */2 still counts as unrestricted) a day matches either of them. @hourly, @daily, @weekly and @monthly are accepted as shorthands.
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// How far ahead getNextRunTime looks before deciding an expression never matches (e.g. 30 February)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+// Function to build the error an invalid expression is rejected with
+function createCronError(expression, reason) {
+  const error = new Error(`Invalid cron expression "${expression}": ${reason}`);
+  error.code = 'INVALID_CRON';
+  return error;
+}
+
+// Function to parse one field into the set of values it allows
+function parseCronField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw createCronError(expression, `bad ${field.name} "${item}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (match[1] !== '*') {
+      from = Number(match[2]);
+      // A single value with a step (5/15) runs from that value to the end of the range
+      to = match[3] !== undefined ? Number(match[3]) : (match[4] ? field.max : from);
+    }
+    const step = match[4] ? Number(match[4]) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw createCronError(expression, `"${item}" is not a valid ${field.name} (${field.min}-${field.max})`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Function to parse an expression - throws an error with code INVALID_CRON when it isn't valid
+function parseCronExpression(expression) {
+  const source = String(expression || '').trim();
+  const parts = (CRON_SHORTHANDS[source.toLowerCase()] || source).split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw createCronError(source, `expected ${CRON_FIELDS.length} fields, got ${parts[0] ? parts.length : 0}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i], source));
+
+  // Sunday may be written as 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: !parts[2].startsWith('*'),
+    dayOfWeekRestricted: !parts[4].startsWith('*')
+  };
+}
+
+// Function to check whether a date's day matches the day-of-month and day-of-week fields
+function matchesDay(schedule, date) {
+  const dayOfMonthMatches = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeekMatches = schedule.daysOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+// Function to get the first time after `after` that an expression matches (null when it never does)
+function getNextRunTime(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  // Skip whole months, days and hours that can't match before stepping through minutes
+  while (date <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextRunTime
+};
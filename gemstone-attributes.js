@@ -0,0 +1,267 @@
+// Gemstone attribute extraction for search queries and product text
+// Pulls sizes (mm), shapes, stone names, colors and forms out of free text so
+// search can filter on them instead of fuzzy matching every word.
+// Stone names, aliases and families come from the gemstone lexicon (gemstone-lexicon.js).
+
+const {
+  normalizeStoneNames,
+  getStoneNames,
+  getStoneColors,
+  isStoneInFamily
+} = require('./gemstone-lexicon');
+
+const ATTRIBUTE_TYPES = ['size', 'shape', 'stone', 'color', 'form'];
+const VARIANT_ATTRIBUTE_TYPES = ['size', 'shape']; // Attributes that differ between a product's variants
+
+// Shapes - keys are the words we look for, values are the canonical shape
+const SHAPES = {
+  round: 'round',
+  rounds: 'round',
+  rondelle: 'rondelle',
+  rondelles: 'rondelle',
+  chip: 'chip',
+  chips: 'chip',
+  nugget: 'nugget',
+  nuggets: 'nugget',
+  oval: 'oval',
+  ovals: 'oval',
+  coin: 'coin',
+  coins: 'coin',
+  teardrop: 'teardrop',
+  teardrops: 'teardrop',
+  heart: 'heart',
+  hearts: 'heart',
+  cube: 'cube',
+  cubes: 'cube',
+  tube: 'tube',
+  tubes: 'tube'
+};
+
+// Forms - what the product is (beads, strand, pendant, ...)
+const FORMS = {
+  bead: 'beads',
+  beads: 'beads',
+  strand: 'strand',
+  strands: 'strand',
+  pendant: 'pendant',
+  pendants: 'pendant',
+  cabochon: 'cabochon',
+  cabochons: 'cabochon',
+  cab: 'cabochon',
+  cabs: 'cabochon',
+  bracelet: 'bracelet',
+  bracelets: 'bracelet',
+  necklace: 'necklace',
+  necklaces: 'necklace',
+  earring: 'earrings',
+  earrings: 'earrings'
+};
+
+const COLORS = {
+  red: 'red',
+  pink: 'pink',
+  orange: 'orange',
+  yellow: 'yellow',
+  green: 'green',
+  blue: 'blue',
+  purple: 'purple',
+  violet: 'purple',
+  black: 'black',
+  white: 'white',
+  brown: 'brown',
+  grey: 'gray',
+  gray: 'gray',
+  clear: 'clear',
+  multicolor: 'multicolor',
+  multicolored: 'multicolor'
+};
+
+// Sizes like "8mm", "8 mm", "6.5mm" and ranges like "4-12mm"
+const SIZE_PATTERN = /\b(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(?:mm|millimeters?)\b/g;
+
+// Function to create an empty attribute set
+function emptyAttributes() {
+  return {
+    size: [],
+    shape: [],
+    stone: [],
+    color: [],
+    form: []
+  };
+}
+
+// Function to normalize a size number to the "8mm" form we store
+function normalizeSize(value) {
+  return `${parseFloat(value)}mm`;
+}
+
+// Function to normalize text before extraction (lowercase, no HTML or punctuation)
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/<[^>]+>/g, ' ')
+    .toLowerCase()
+    .replace(/[’']s\b/g, 's')
+    .replace(/[^a-z0-9.\-\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Function to add a value to an attribute list without duplicates
+function addAttribute(attributes, type, value) {
+  if (!attributes[type].includes(value)) {
+    attributes[type].push(value);
+  }
+}
+
+// Function to extract attributes from free text
+// Returns the attributes plus the words that were not recognised as an attribute
+function extractAttributes(text) {
+  const attributes = emptyAttributes();
+  // Aliases and misspellings become canonical names first ("tigers eye" → "tiger eye")
+  let remaining = ` ${normalizeStoneNames(normalizeText(text))} `;
+
+  // Sizes
+  remaining = remaining.replace(SIZE_PATTERN, (match, from, to) => {
+    addAttribute(attributes, 'size', normalizeSize(from));
+    if (to) {
+      addAttribute(attributes, 'size', normalizeSize(to));
+    }
+    return ' ';
+  });
+
+  // Stone names (longest first so "rose quartz" wins over "quartz")
+  for (const stone of getStoneNames()) {
+    const pattern = new RegExp(`\\s${stone.replace(/ /g, '\\s')}\\s`, 'g');
+    while (pattern.test(remaining)) {
+      addAttribute(attributes, 'stone', stone);
+      remaining = remaining.replace(pattern, '  ');
+    }
+  }
+
+  // Single-word attributes
+  const remainingWords = [];
+  remaining.split(' ').filter(Boolean).forEach(word => {
+    if (SHAPES[word]) {
+      addAttribute(attributes, 'shape', SHAPES[word]);
+    } else if (FORMS[word]) {
+      addAttribute(attributes, 'form', FORMS[word]);
+    } else if (COLORS[word]) {
+      addAttribute(attributes, 'color', COLORS[word]);
+    } else {
+      remainingWords.push(word);
+    }
+  });
+
+  return { attributes, remainingWords };
+}
+
+// Function to get the text describing a variant: its option values ("8mm", "Round"), else its title
+function getVariantText(variant) {
+  const options = (variant.options || []).map(option => option.value);
+  return options.length > 0 ? options.join(' ') : (variant.title || '');
+}
+
+// Function to extract attributes from a product's title, tags, description and variant options
+function extractProductAttributes(product) {
+  const tags = Array.isArray(product.tags) ? product.tags.join(' ') : product.tags;
+  const variantTitles = (product.variants || []).map(getVariantText).join(' ');
+  const text = [product.title, tags, product.description, variantTitles].join(' ');
+
+  return extractAttributes(text).attributes;
+}
+
+// Function to check whether an attribute set has any values
+function hasAttributes(attributes) {
+  return ATTRIBUTE_TYPES.some(type => attributes[type] && attributes[type].length > 0);
+}
+
+// Function to check whether a product value satisfies a query value
+// "lapis" matches "lapis lazuli", "quartz" matches "rose quartz" and (by family) "amethyst"
+function attributeValueMatches(type, productValue, queryValue) {
+  if (productValue === queryValue || ` ${productValue} `.includes(` ${queryValue} `)) {
+    return true;
+  }
+  return type === 'stone' && isStoneInFamily(productValue, queryValue);
+}
+
+// Function to get the product values a query can match for one attribute type
+// Colors also include the typical colors of the product's stones ("purple" finds amethyst)
+function getAvailableValues(productAttributes, type) {
+  const available = (productAttributes && productAttributes[type]) || [];
+  if (type !== 'color') {
+    return available;
+  }
+
+  const stoneColors = [];
+  ((productAttributes && productAttributes.stone) || []).forEach(stone => {
+    getStoneColors(stone).forEach(color => {
+      if (!available.includes(color) && !stoneColors.includes(color)) {
+        stoneColors.push(color);
+      }
+    });
+  });
+  return available.concat(stoneColors);
+}
+
+// Function to match product attributes against query attributes
+// In "all" mode every attribute type present in the query must match at least one product value;
+// in "any" mode one matching value is enough.
+// Returns the matched values per type, or null when the product does not match.
+function matchAttributes(productAttributes, queryAttributes, mode = 'all') {
+  const matched = {};
+
+  for (const type of ATTRIBUTE_TYPES) {
+    const wanted = queryAttributes[type] || [];
+    if (wanted.length === 0) {
+      continue;
+    }
+
+    const available = getAvailableValues(productAttributes, type);
+    const hits = wanted.filter(value => available.some(productValue => attributeValueMatches(type, productValue, value)));
+    if (hits.length === 0) {
+      if (mode === 'all') {
+        return null;
+      }
+      continue;
+    }
+
+    matched[type] = hits;
+  }
+
+  return Object.keys(matched).length > 0 ? matched : null;
+}
+
+// Function to check whether a variant fits the size and shape a customer asked for
+// A variant that says nothing about a size or shape can't be ruled out on it
+function variantMatchesAttributes(variant, queryAttributes) {
+  const variantAttributes = extractAttributes(getVariantText(variant)).attributes;
+
+  return VARIANT_ATTRIBUTE_TYPES.every(type => {
+    const wanted = queryAttributes[type] || [];
+    const available = variantAttributes[type];
+    if (wanted.length === 0 || available.length === 0) {
+      return true;
+    }
+    return wanted.some(value => available.some(variantValue => attributeValueMatches(type, variantValue, value)));
+  });
+}
+
+// Function to convert product attributes into [type, value] rows for MySQL
+function attributesToRows(attributes) {
+  const rows = [];
+  ATTRIBUTE_TYPES.forEach(type => {
+    (attributes[type] || []).forEach(value => rows.push([type, value]));
+  });
+  return rows;
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  emptyAttributes,
+  extractAttributes,
+  extractProductAttributes,
+  hasAttributes,
+  matchAttributes,
+  variantMatchesAttributes,
+  attributesToRows
+};
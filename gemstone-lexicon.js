@@ -0,0 +1,175 @@
+// Gemstone lexicon - canonical stone names, aliases, misspellings, colors and families
+// Loaded from gemstone-lexicon.json (or GEMSTONE_LEXICON_PATH) so the vocabulary can be
+// edited without code changes. Works offline and runs before the LLM step.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LEXICON_PATH = path.join(__dirname, 'gemstone-lexicon.json');
+
+let lexicon = null;
+
+// Function to normalize a lexicon term the same way query and product text are normalized
+function normalizeTerm(term) {
+  return String(term || '')
+    .toLowerCase()
+    .replace(/[’']s\b/g, 's')
+    .replace(/[^a-z0-9.\-\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Function to escape a term for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to build lookup tables from the raw lexicon data
+function buildLexicon(data, source) {
+  if (!data || !Array.isArray(data.stones)) {
+    throw new Error(`Gemstone lexicon ${source} has no "stones" list`);
+  }
+
+  const stones = new Map(); // canonical name → entry
+  const terms = new Map(); // alias/misspelling/canonical → canonical name
+
+  data.stones.forEach((stone, position) => {
+    const name = normalizeTerm(stone && stone.name);
+    if (!name) {
+      throw new Error(`Gemstone lexicon ${source}: stone #${position + 1} has no name`);
+    }
+    if (stones.has(name)) {
+      throw new Error(`Gemstone lexicon ${source}: "${name}" is listed twice`);
+    }
+
+    stones.set(name, {
+      name,
+      parent: stone.parent ? normalizeTerm(stone.parent) : null,
+      colors: (stone.colors || []).map(normalizeTerm).filter(Boolean),
+      aliases: (stone.aliases || []).map(normalizeTerm).filter(Boolean),
+      misspellings: (stone.misspellings || []).map(normalizeTerm).filter(Boolean),
+      children: []
+    });
+  });
+
+  stones.forEach(stone => {
+    if (stone.parent) {
+      if (!stones.has(stone.parent)) {
+        throw new Error(`Gemstone lexicon ${source}: "${stone.name}" has unknown parent "${stone.parent}"`);
+      }
+      stones.get(stone.parent).children.push(stone.name);
+    }
+
+    [stone.name, ...stone.aliases, ...stone.misspellings].forEach(term => {
+      const existing = terms.get(term);
+      if (existing && existing !== stone.name) {
+        throw new Error(`Gemstone lexicon ${source}: "${term}" maps to both "${existing}" and "${stone.name}"`);
+      }
+      terms.set(term, stone.name);
+    });
+  });
+
+  // One pattern for every known term, longest first so "blue zoisite" wins over "zoisite"
+  const sortedTerms = Array.from(terms.keys()).sort((a, b) => b.length - a.length);
+  const termPattern = new RegExp(`(^|\\s)(${sortedTerms.map(escapeRegExp).join('|')})(?=\\s|$)`, 'g');
+
+  return {
+    source,
+    stones,
+    terms,
+    termPattern,
+    stoneNames: Array.from(stones.keys()).sort((a, b) => b.length - a.length)
+  };
+}
+
+// Function to (re)load the lexicon from disk
+// A broken custom lexicon falls back to the bundled one so search keeps working
+function loadLexicon(filePath = process.env.GEMSTONE_LEXICON_PATH || DEFAULT_LEXICON_PATH) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    lexicon = buildLexicon(data, filePath);
+    console.log(`📖 Gemstone lexicon loaded: ${lexicon.stones.size} stones, ${lexicon.terms.size} terms (${filePath})`);
+  } catch (error) {
+    console.error('❌ Failed to load gemstone lexicon:', error.message);
+    if (filePath === DEFAULT_LEXICON_PATH) {
+      throw error;
+    }
+    return loadLexicon(DEFAULT_LEXICON_PATH);
+  }
+  return lexicon;
+}
+
+// Function to get the loaded lexicon (loads it on first use)
+function getLexicon() {
+  return lexicon || loadLexicon();
+}
+
+// Function to rewrite aliases and misspellings in text to canonical stone names
+// "tigers eye" → "tiger eye", "blue zoisite" → "tanzanite", "amethist" → "amethyst"
+function normalizeStoneNames(text) {
+  const { termPattern, terms } = getLexicon();
+  return normalizeTerm(text).replace(termPattern, (match, space, term) => `${space}${terms.get(term)}`);
+}
+
+// Function to get all canonical stone names, longest first
+function getStoneNames() {
+  return getLexicon().stoneNames;
+}
+
+// Function to get a stone and everything in its family ("quartz" → quartz, rose quartz, amethyst, ...)
+function expandStone(name) {
+  const { stones } = getLexicon();
+  const expanded = [];
+  const queue = [name];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (expanded.includes(current)) {
+      continue;
+    }
+    expanded.push(current);
+    if (stones.has(current)) {
+      queue.push(...stones.get(current).children);
+    }
+  }
+
+  return expanded;
+}
+
+// Function to get the words to search for a stone: its family plus their aliases (not misspellings)
+function getStoneSearchTerms(name) {
+  const { stones } = getLexicon();
+  const searchTerms = [];
+
+  expandStone(name).forEach(member => {
+    const stone = stones.get(member);
+    [member, ...(stone ? stone.aliases : [])].forEach(term => {
+      if (!searchTerms.includes(term)) {
+        searchTerms.push(term);
+      }
+    });
+  });
+
+  return searchTerms;
+}
+
+// Function to get the typical colors of a stone
+function getStoneColors(name) {
+  const stone = getLexicon().stones.get(name);
+  return stone ? stone.colors : [];
+}
+
+// Function to check whether a product's stone belongs to the stone (or family) a customer asked for
+function isStoneInFamily(productStone, queryStone) {
+  return expandStone(queryStone).includes(productStone);
+}
+
+module.exports = {
+  loadLexicon,
+  normalizeStoneNames,
+  getStoneNames,
+  expandStone,
+  getStoneSearchTerms,
+  getStoneColors,
+  isStoneInFamily
+};
@@ -1,8 +1,65 @@
+const crypto = require('crypto');
 const express = require('express');
 const mysql = require('mysql2/promise');
+const {
+  emptyAttributes,
+  extractAttributes,
+  extractProductAttributes,
+  hasAttributes,
+  matchAttributes,
+  variantMatchesAttributes
+} = require('./gemstone-attributes');
+const {
+  normalizeStoneNames,
+  getStoneSearchTerms,
+  isStoneInFamily
+} = require('./gemstone-lexicon');
+const {
+  parseQuery,
+  groupSearchTerms,
+  createExclusionPattern
+} = require('./query-parser');
+const {
+  buildSearchIndex,
+  findTokensContaining,
+  findFuzzyCandidates,
+  getPostings
+} = require('./search-index');
+const {
+  extractQueryFilters,
+  describeQueryFilters,
+  hasQueryFilters,
+  applyQueryFilters
+} = require('./query-filters');
+const {
+  getSessionId,
+  getSessionParameters,
+  detectFollowUp,
+  createSearchState,
+  restoreResults,
+  getSessionState,
+  saveSessionState,
+  toSessionParameters
+} = require('./conversation-state');
+const {
+  loadLLMConfig,
+  renderPrompt,
+  createLLMProvider,
+  getProviderStats
+} = require('./llm-providers');
+const {
+  QUERY_UNDERSTANDING_SCHEMA,
+  DEFAULT_QUERY_PROMPT,
+  parseQueryUnderstanding,
+  heuristicUnderstanding
+} = require('./query-understanding');
+const {
+  buildSearchLogEntry,
+  recordSearch
+} = require('./search-log');
+const { assertSchemaUpToDate } = require('./migrate');
 
 // Configuration - SECURE VERSION
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const MYSQL_HOST = process.env.MYSQLHOST || process.env.MYSQL_HOST || 'localhost';
 const MYSQL_USER = process.env.MYSQLUSER || process.env.MYSQL_USER || 'root';
 const MYSQL_PASSWORD = process.env.MYSQLPASSWORD || process.env.MYSQL_PASSWORD || '';
@@ -14,20 +71,68 @@ const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 let gemstoneCache = {
   data: null,
   timestamp: 0,
-  correctedNames: new Map() // Cache corrected gemstone names
+  correctedNames: new Map() // Cache LLM query understandings by query text
 };
 let mysqlCache = {
   data: null,
-  timestamp: 0
+  timestamp: 0,
+  index: null // Search index built from data on every refresh
 };
+const CACHE_INVALIDATE_TOKEN = process.env.CACHE_INVALIDATE_TOKEN; // Shared with the sync server
+
+// Dialogflow CX sends this in the X-Webhook-Secret header (set it as a custom header on the webhook)
+const DIALOGFLOW_WEBHOOK_SECRET = process.env.DIALOGFLOW_WEBHOOK_SECRET;
+// Local development only - /webhook accepts any caller
+const DIALOGFLOW_WEBHOOK_AUTH_DISABLED = process.env.DIALOGFLOW_WEBHOOK_AUTH_DISABLED === 'true';
+// Browser origins allowed to call the search API, e.g. https://rezagemcollection.com (comma separated)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
 
 // MySQL connection pool
 let connectionPool;
+let schemaVerified = false;
+
+// LLM provider for query preprocessing (Gemini, OpenAI-compatible or local stub - see llm-providers.js)
+const llmConfig = loadLLMConfig();
+const llmProvider = createLLMProvider(llmConfig);
+
+// Search backend: "memory" (cached catalog + fuzzy index) or "fulltext" (MySQL MATCH ... AGAINST)
+const SEARCH_BACKEND = (process.env.SEARCH_BACKEND || 'memory').toLowerCase();
+const FULLTEXT_MODE = (process.env.FULLTEXT_MODE || 'boolean').toLowerCase(); // "boolean" or "natural"
+const FULLTEXT_RESULT_LIMIT = 500; // Maximum products loaded from a FULLTEXT query
+const FULLTEXT_RELEVANCE_WEIGHT = 1; // How much MySQL relevance adds to the ranking score
+
+// Product visibility - deleted, archived, draft and unpublished products are hidden unless this is set
+const SEARCH_INCLUDE_INACTIVE = process.env.SEARCH_INCLUDE_INACTIVE === 'true';
+const ACTIVE_PRODUCT_CONDITION = SEARCH_INCLUDE_INACTIVE ? 'TRUE' : "p.deleted_at IS NULL AND p.status = 'active' AND p.published = TRUE";
+
+// Rich Dialogflow CX responses (cards and suggestion chips)
+const STOREFRONT_URL = (process.env.STOREFRONT_URL || '').replace(/\/+$/, ''); // e.g. https://rezagemcollection.com
+const RICH_CARD_LIMIT = 5; // Product cards per response
+const CHIPS_PER_ATTRIBUTE = 3; // Suggestion chips per size/colour/shape
+const MAX_CHIPS = 8;
+
+// Webhook text responses show this many products per page
+const RESULTS_PAGE_SIZE = 20;
+
+// JSON search API pagination
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
 
 // Fuzzy matching configuration
 const FUZZY_THRESHOLD = 0.6; // Lower = more strict, Higher = more lenient
 const FUZZY_DISTANCE = 2; // Maximum edit distance for fuzzy matching
 
+// Relevance scoring configuration
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 }; // Where the word matched
+const MATCH_TYPE_WEIGHTS = { exact: 1, substring: 0.6, fuzzy: 0.4 }; // How the word matched
+const COVERAGE_BONUS = 3; // Scaled by the share of query terms a product matches
+const SCORE_DEBUG_LIMIT = 10; // Number of top scores printed to the log
+const MATCH_LOG_LIMIT = 10; // Number of matched products printed to the log
+const FUZZY_MIN_TOKEN_LENGTH = 4; // Product words shorter than this are never fuzzy matched
+
 // Initialize MySQL connection
 async function initMySQL() {
   try {
@@ -47,68 +152,34 @@ async function initMySQL() {
     // Test connection
     const connection = await connectionPool.getConnection();
     
-    // Create products table if it doesn't exist
-    await createProductsTable(connection);
+    try {
+      // Check the schema once per process - tables are created and changed by migrate.js
+      if (!schemaVerified) {
+        await assertSchemaUpToDate(connection);
+        await addSampleProductsIfEmpty(connection);
+        schemaVerified = true;
+      }
+    } finally {
+      connection.release();
+    }
     
-    connection.release();
     return true;
   } catch (error) {
+    // An out-of-date schema is not something a retry will fix
+    if (error.code === 'SCHEMA_OUTDATED') {
+      throw error;
+    }
     console.error('❌ MySQL connection failed:', error.message);
     return false;
   }
 }
 
-// Function to create products table if it doesn't exist
-async function createProductsTable(connection) {
-  try {
-    // Create products table
-    const createProductsTableSQL = `
-      CREATE TABLE IF NOT EXISTS products (
-        id VARCHAR(255) PRIMARY KEY,
-        title VARCHAR(500) NOT NULL,
-        description TEXT,
-        tags TEXT,
-        image_url VARCHAR(500),
-        image_alt VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_title (title(100)),
-        INDEX idx_tags (tags(100)),
-        FULLTEXT INDEX idx_search (title, description, tags)
-      )
-    `;
-    
-    await connection.execute(createProductsTableSQL);
-    console.log('✅ Products table created/verified successfully');
-    
-    // Create product_variants table
-    const createVariantsTableSQL = `
-      CREATE TABLE IF NOT EXISTS product_variants (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        product_id VARCHAR(255) NOT NULL,
-        title VARCHAR(255),
-        price DECIMAL(10,2),
-        inventory_quantity INT DEFAULT 0,
-        available_for_sale BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_product_id (product_id),
-        INDEX idx_price (price),
-        INDEX idx_available (available_for_sale)
-      )
-    `;
-    
-    await connection.execute(createVariantsTableSQL);
-    console.log('✅ Product variants table created/verified successfully');
-    
-    // Check if products table is empty and add sample data
-    const [productRows] = await connection.execute('SELECT COUNT(*) as count FROM products');
-    if (productRows[0].count === 0) {
-      await addSampleProducts(connection);
-      console.log('✅ Sample products added to database');
-    }
-    
-  } catch (error) {
-    console.error('❌ Error creating tables:', error.message);
+// Function to add sample products when the products table is empty
+async function addSampleProductsIfEmpty(connection) {
+  const [productRows] = await connection.execute('SELECT COUNT(*) as count FROM products');
+  if (productRows[0].count === 0) {
+    await addSampleProducts(connection);
+    console.log('✅ Sample products added to database');
   }
 }
 
@@ -168,15 +239,47 @@ const PORT = process.env.PORT || 8080;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// CORS middleware
+// CORS middleware - only origins in ALLOWED_ORIGINS may call the API from a browser
 app.use((req, res, next) => {
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  const origin = req.get('Origin');
+  res.vary('Origin');
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+  }
   next();
 });
 
-// Health check endpoint
+// Function to compare a shared secret sent by a caller with the expected one in constant time
+// (hashed first so secrets of any length compare); false when either is missing
+function secretMatches(received, expected) {
+  if (!received || !expected) {
+    return false;
+  }
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(received), hash(expected));
+}
+
+// Function to check a Dialogflow request's shared secret
+// Every request is refused while no secret is set, unless DIALOGFLOW_WEBHOOK_AUTH_DISABLED is
+function verifyWebhookSecret(req, res, next) {
+  if (DIALOGFLOW_WEBHOOK_AUTH_DISABLED) {
+    return next();
+  }
+  if (!DIALOGFLOW_WEBHOOK_SECRET) {
+    console.error('❌ Rejected webhook request: DIALOGFLOW_WEBHOOK_SECRET is not set');
+    return res.status(503).json({ error: 'Webhook secret not configured' });
+  }
+
+  if (!secretMatches(req.get('X-Webhook-Secret'), DIALOGFLOW_WEBHOOK_SECRET)) {
+    console.error(`❌ Rejected webhook request with a missing or wrong secret from ${req.ip}`);
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+  next();
+}
+
+// Health check endpoint - public, so it only says the service is up
 app.get('/', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
@@ -185,8 +288,17 @@ app.get('/', (req, res) => {
   });
 });
 
+// LLM provider stats (latency, failures, last error) - needs the cache invalidation token,
+// as errors can include upstream responses and endpoint details
+app.get('/api/llm/stats', (req, res) => {
+  if (!secretMatches(req.get('X-Cache-Invalidate-Token'), CACHE_INVALIDATE_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid cache invalidation token' });
+  }
+  res.json({ llm: getProviderStats(llmProvider) });
+});
+
 // Main webhook endpoint
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSecret, async (req, res) => {
   // Set timeout to prevent hanging requests
   const timeout = setTimeout(() => {
     console.log('⏰ Request timeout - taking too long');
@@ -207,7 +319,7 @@ app.post('/webhook', async (req, res) => {
     
     console.log('Received text from Dialogflow CX:', text);
     console.log('Configuration check:', {
-      gemini: GEMINI_API_KEY ? 'SET' : 'NOT SET',
+      llm: llmProvider ? `${llmProvider.name}/${llmProvider.model}` : 'NOT SET',
       mysql: MYSQL_HOST ? 'SET' : 'NOT SET'
     });
 
@@ -224,29 +336,101 @@ app.post('/webhook', async (req, res) => {
       });
     }
 
-    // Step 1: Preprocess with Gemini to validate/correct gemstone keywords
-    console.log('🔍 Step 1: Preprocessing with Gemini...');
-    const correctedText = await preprocessWithGemini(text);
-    console.log('✅ Gemini preprocessing result:', { original: text, corrected: correctedText });
+    // Follow-ups ("show more", "the second one", "only the 6mm ones") continue the session's last search
+    const sessionId = getSessionId(req.body);
+    let followUp = detectFollowUp(text);
+    let state = getSessionState(sessionId);
+
+    // Rebuild the state from Dialogflow session parameters when this instance has none (e.g. after a restart)
+    if (!state && followUp) {
+      const parameters = getSessionParameters(req.body);
+      if (parameters.last_query) {
+        console.log('🔄 Rebuilding session state from Dialogflow parameters:', parameters.last_query);
+        state = createSearchState(parameters.last_query, await searchProducts(parameters.last_query), Number(parameters.page_offset) || 0);
+      }
+    }
+
+    let messageText;
+    let richProducts = [];
 
-    // Step 2: Split corrected words and search MySQL
-    const words = correctedText.toLowerCase().split(' ').filter(word => word.length > 2);
-    console.log('🔍 Step 2: Searching for words:', words);
+    // Without an earlier search an ordinal is just part of the query ("no 2 strands")
+    if (followUp && followUp.type === 'ordinal' && !state) {
+      followUp = null;
+    }
 
-    // Step 3: Query MySQL products using corrected words (with caching)
-    const products = await queryMySQLProducts(words);
+    if (followUp && followUp.type === 'more' && !state) {
+      messageText = 'What kind of products would you like to see? Tell me a stone, size or shape and I\'ll find them for you.';
+    } else if (followUp && followUp.type === 'more') {
+      console.log('📄 Follow-up: next page for', state.query);
+      if (state.offset + RESULTS_PAGE_SIZE >= state.results.length) {
+        messageText = `That's everything I found for "${state.query}". Would you like to search for something else?`;
+      } else {
+        const products = await loadSessionResults(state.results);
+        state = { ...state, offset: state.offset + RESULTS_PAGE_SIZE };
+        messageText = formatProductResponse(products, state.search.searchWords, state.search.appliedFilters, state.offset);
+        richProducts = products.slice(state.offset);
+      }
+    } else if (followUp && followUp.type === 'ordinal') {
+      // Ordinals refer to the page the customer is looking at
+      const pageEnd = Math.min(state.offset + RESULTS_PAGE_SIZE, state.results.length);
+      const index = followUp.position === -1 ? pageEnd - 1 : state.offset + followUp.position - 1;
+      console.log(`👉 Follow-up: product #${index + 1} of`, state.query);
+      const [product] = index >= state.offset && index < pageEnd ? await loadSessionResults([state.results[index]]) : [];
+      if (product) {
+        messageText = formatProductDetails(product);
+        richProducts = [product];
+      } else {
+        messageText = `I showed ${pageEnd - state.offset} product(s) for "${state.query}". Which one would you like to know more about?`;
+      }
+    } else {
+      // New search, or a refinement of the previous one
+      const query = followUp && state ? `${state.query} ${followUp.refinement}` : (followUp ? followUp.refinement : text);
+      if (followUp && state) {
+        console.log('🔎 Follow-up: refining', state.query, 'with', followUp.refinement);
+      }
 
-    // Format response for Dialogflow CX
+      // Run the shared search pipeline (LLM preprocessing + MySQL fuzzy search)
+      const searchStart = Date.now();
+      const searchResult = await searchProducts(query);
+      recordSearch(connectionPool, buildSearchLogEntry({
+        channel: 'webhook',
+        sessionId,
+        searchResult,
+        latencyMs: Date.now() - searchStart
+      }));
+      state = createSearchState(query, searchResult);
+      messageText = formatProductResponse(searchResult.products, searchResult.searchWords, searchResult.appliedFilters);
+      if (searchResult.matchMode === 'any' && searchResult.products.length > 0) {
+        messageText = `I couldn't find anything matching all of "${query}", so here are the closest matches.\n\n${messageText}`;
+      }
+      richProducts = searchResult.products;
+    }
+
+    // Format response for Dialogflow CX - text first as the fallback for channels without rich content
     const response = {
       fulfillment_response: {
         messages: [{
           text: {
-            text: [products]
+            text: [messageText]
           }
         }]
       }
     };
 
+    const richContent = state ? formatRichContent(richProducts, state.search) : [];
+    if (richContent.length > 0) {
+      response.fulfillment_response.messages.push({
+        payload: { richContent }
+      });
+    }
+
+    if (state) {
+      saveSessionState(sessionId, state);
+      response.sessionInfo = {
+        parameters: toSessionParameters(state)
+      };
+    }
+
     clearTimeout(timeout);
     res.status(200).json(response);
 
@@ -265,116 +449,336 @@ app.post('/webhook', async (req, res) => {
   }
 });
 
-// Function to preprocess text with Gemini (with caching)
-async function preprocessWithGemini(text) {
-  console.log('🔍 Starting Gemini preprocessing for text:', text);
-  
-  if (!GEMINI_API_KEY) {
-    console.log('⚠️ No Gemini API key, skipping Gemini preprocessing');
-    return text;
+// Structured JSON search endpoint (same pipeline as the webhook)
+app.get('/api/search', async (req, res) => {
+  const text = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const collection = typeof req.query.collection === 'string' ? req.query.collection.trim() : '';
+  const productType = typeof req.query.productType === 'string' ? req.query.productType.trim() : '';
+  const limit = parsePaginationParam(req.query.limit, DEFAULT_SEARCH_LIMIT);
+  const offset = parsePaginationParam(req.query.offset, 0);
+
+  // A collection or product type alone is enough to browse the catalog
+  if (!text && !collection && !productType) {
+    return res.status(400).json({ error: 'Missing required query parameter "q"' });
   }
-  
-  console.log('✅ Gemini API key found, proceeding with preprocessing');
 
-  // Check cache first for corrected names
-  const cacheKey = text.toLowerCase().trim();
-  if (gemstoneCache.correctedNames.has(cacheKey)) {
-    console.log('💾 Using cached correction:', gemstoneCache.correctedNames.get(cacheKey));
-    return gemstoneCache.correctedNames.get(cacheKey);
+  if (limit === null || offset === null) {
+    return res.status(400).json({ error: '"limit" and "offset" must be non-negative integers' });
   }
-  
-  console.log('🔄 No cache hit, calling Gemini API...');
 
   try {
-    const prompt = `You are a gemstone expert. Analyze this user query about gemstone beads and jewelry.
+    const searchStart = Date.now();
+    const searchResult = await searchProducts(text, { collection, productType });
+    recordSearch(connectionPool, buildSearchLogEntry({
+      channel: 'api',
+      searchResult,
+      latencyMs: Date.now() - searchStart
+    }));
+    const pageLimit = Math.min(limit, MAX_SEARCH_LIMIT);
+    const page = searchResult.products.slice(offset, offset + pageLimit);
+
+    res.status(200).json({
+      query: searchResult.originalText,
+      correctedQuery: searchResult.correctedText,
+      searchWords: searchResult.searchWords,
+      attributes: searchResult.attributes,
+      filters: searchResult.filters,
+      appliedFilters: searchResult.appliedFilters,
+      excludedTerms: searchResult.excludedTerms,
+      matchMode: searchResult.matchMode,
+      understanding: searchResult.understanding,
+      backend: searchResult.backend,
+      total: searchResult.products.length,
+      limit: pageLimit,
+      offset,
+      count: page.length,
+      products: page.map(formatProductForApi)
+    });
 
-User query: "${text}"
+  } catch (error) {
+    console.error('❌ Search API error:', error);
+    res.status(500).json({ error: 'Search failed. Please try again.' });
+  }
+});
 
-Your task:
-1. Identify if this is gemstone/jewelry related
-2. If YES: Correct any typos in gemstone names, sizes, or jewelry terms
-3. If NO: Return "not gemstone related"
-4. Return ONLY the corrected keywords, no explanations or extra text
+// Cache invalidation endpoint - the sync server calls this after webhooks and syncs
+// so catalog changes are searchable immediately instead of after CACHE_DURATION
+app.post('/api/cache/invalidate', (req, res) => {
+  if (!secretMatches(req.get('X-Cache-Invalidate-Token'), CACHE_INVALIDATE_TOKEN)) {
+    return res.status(401).json({ error: 'Invalid cache invalidation token' });
+  }
 
-Examples:
-- "amethist" → "amethyst"
-- "labradoright" → "labradorite" 
-- "8mm amethist beads" → "8mm amethyst beads"
-- "hello how are you" → "not gemstone related"
+  const productIds = Array.isArray(req.body && req.body.productIds) ? req.body.productIds : [];
+  const hadCache = Boolean(mysqlCache.data);
+  mysqlCache.data = null;
+  mysqlCache.index = null;
+  mysqlCache.timestamp = 0;
 
-Return ONLY the corrected text or "not gemstone related".`;
+  console.log(`🧹 Product cache invalidated${productIds.length > 0 ? ` (${productIds.length} product(s) changed)` : ''}`);
+  res.json({ success: true, invalidated: hadCache });
+});
 
-    console.log('📤 Sending request to Gemini API...');
-    console.log('🔑 Using API key:', GEMINI_API_KEY.substring(0, 10) + '...');
+// Function to parse a limit/offset query parameter (null when invalid)
+function parsePaginationParam(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
 
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }],
-        generationConfig: {
-          maxOutputTokens: 50, // Reduced to prevent extra commentary
-          temperature: 0.1
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    return null;
+  }
+
+  return parsed;
+}
+
+// Function to shape a matched product for the JSON API
+function formatProductForApi(product) {
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle || null,
+    url: getProductUrl(product),
+    vendor: product.vendor || null,
+    productType: product.productType || null,
+    collections: product.collections || [],
+    description: product.description,
+    tags: product.tags,
+    image: product.image,
+    imageAlt: product.imageAlt,
+    images: product.images || [],
+    variants: product.variants,
+    attributes: product.attributes,
+    match: product.match || null
+  };
+}
+
+// Function to run the search pipeline: LLM preprocessing, then MySQL search (FULLTEXT or in-memory fuzzy)
+// options.collection / options.productType add catalog filters on top of the ones in the text
+async function searchProducts(text, options = {}) {
+  // Step 0: Pull price, stock, sort and collection filters out before the LLM can drop them
+  const { filters, appliedFilters, remainingText } = extractQueryFilters(text);
+  if (options.collection) {
+    filters.collection = options.collection;
+  }
+  if (options.productType) {
+    filters.productType = options.productType;
+  }
+  if (appliedFilters.length > 0) {
+    console.log('💲 Step 0: Query filters:', { filters, remainingText });
+  }
+
+  // Step 1: Parse quoted phrases, negations ("without silver") and units, then rewrite known
+  // aliases and misspellings with the gemstone lexicon (works without an LLM)
+  const parsedQuery = parseQuery(remainingText);
+  const normalizedText = normalizeStoneNames(parsedQuery.text);
+  console.log('📖 Step 1: Parsed query:', { original: remainingText, normalized: normalizedText, phrases: parsedQuery.phrases, excluded: parsedQuery.excluded });
+
+  // Step 2: Ask the LLM provider for a structured understanding of the query
+  console.log('🔍 Step 2: Preprocessing with LLM provider...');
+  let understanding = normalizedText ? await preprocessQuery(normalizedText) : heuristicUnderstanding('');
+  if (!understanding.isGemstoneQuery) {
+    // Not about gemstones - search the customer's own words rather than nothing
+    console.log('🤖 LLM: Query not gemstone related, using original text');
+    understanding = { ...heuristicUnderstanding(normalizedText), intent: understanding.intent };
+  }
+  const correctedText = understanding.correctedTerms.join(' ');
+  console.log('✅ LLM preprocessing result:', { original: normalizedText, corrected: correctedText, source: understanding.source });
+
+  // Step 3: Split corrected words and pull out gemstone attributes (size, shape, stone, ...)
+  const words = groupSearchTerms(correctedText.split(' '), parsedQuery.phrases);
+  const { attributes, remainingWords } = extractAttributes(correctedText);
+  const fuzzyWords = groupSearchTerms(remainingWords, parsedQuery.phrases);
+  mergeUnderstandingAttributes(attributes, fuzzyWords, understanding);
+
+  // Price limits the model picked up that the filter patterns missed
+  if (filters.priceMin === null && understanding.priceMin !== null) {
+    filters.priceMin = understanding.priceMin;
+  }
+  if (filters.priceMax === null && understanding.priceMax !== null) {
+    filters.priceMax = understanding.priceMax;
+  }
+  const activeFilters = describeQueryFilters(filters).concat(parsedQuery.excluded.map(term => `without ${term}`));
+  console.log('🔍 Step 3: Searching for attributes and words:', { attributes, fuzzyWords });
+
+  // Step 4: Get candidate products - MySQL FULLTEXT when configured, else the cached catalog
+  let backend = 'memory';
+  let candidates = null;
+  let searchIndex = null;
+  if (SEARCH_BACKEND === 'fulltext') {
+    try {
+      candidates = await searchProductsFullText(expandSearchWords(words, attributes));
+      backend = 'fulltext';
+    } catch (error) {
+      console.error('❌ FULLTEXT search failed:', error.message);
+    }
+    
+    if (!candidates || candidates.length === 0) {
+      console.log('⚠️ FULLTEXT search found nothing, falling back to in-memory fuzzy search');
+      candidates = null;
+      backend = 'memory-fallback';
+    }
+  }
+  
+  let catalogCached = false;
+  if (!candidates) {
+    const cacheTimestamp = mysqlCache.timestamp;
+    candidates = await getCachedProducts();
+    searchIndex = mysqlCache.index;
+    catalogCached = mysqlCache.timestamp === cacheTimestamp;
+  }
+
+  // Step 5: Filter on attributes, then fuzzy match the leftover words - every term must match
+  let products;
+  let matchMode = 'all';
+  const termCount = fuzzyWords.length + Object.values(attributes).reduce((total, values) => total + values.length, 0);
+  if (termCount === 0 && (hasQueryFilters(filters) || parsedQuery.excluded.length > 0)) {
+    // e.g. "cheapest in stock" - the filters alone narrow the catalog
+    products = candidates;
+  } else {
+    products = matchProducts(candidates, attributes, fuzzyWords, searchIndex, 'all');
+
+    // Nothing has every term - relax to products matching any of them
+    if (products.length === 0 && termCount > 1) {
+      console.log('⚠️ No product matches every term, relaxing to any term');
+      products = matchProducts(candidates, attributes, fuzzyWords, searchIndex, 'any');
+      matchMode = 'any';
+    }
+  }
+  products = excludeProducts(products, parsedQuery.excluded);
+
+  // Step 6: Rank by relevance so the best matches come first
+  products = rankProducts(products, fuzzyWords, attributes);
+
+  // Step 7: Keep the variants in the requested size/shape, then apply price/stock filters and price sorting
+  products = narrowVariantsToAttributes(products, attributes);
+  products = applyQueryFilters(products, filters);
+
+  return {
+    originalText: text,
+    queryText: parsedQuery.text,
+    correctedText,
+    searchWords: words,
+    attributes,
+    fuzzyWords,
+    filters,
+    appliedFilters: activeFilters,
+    phrases: parsedQuery.phrases,
+    excludedTerms: parsedQuery.excluded,
+    matchMode,
+    understanding: {
+      source: understanding.source,
+      intent: understanding.intent,
+      provider: llmProvider ? `${llmProvider.name}/${llmProvider.model}` : 'none',
+      cached: Boolean(understanding.cached)
+    },
+    backend,
+    catalogCached,
+    products
+  };
+}
+
+// Function to add lexicon synonyms and family members of the query's stones to the search words
+// "quartz" also searches "amethyst", "citrine", ...; "tanzanite" also searches "blue zoisite"
+function expandSearchWords(words, attributes) {
+  const expanded = words.slice();
+  attributes.stone.forEach(stone => {
+    getStoneSearchTerms(stone)
+      .filter(term => !expanded.includes(term))
+      .forEach(term => expanded.push(term));
+  });
+  return expanded;
+}
+
+// Function to merge the LLM's stone/size/shape/color fields into the parsed attributes
+// Values go through extractAttributes so they use the same vocabulary as product attributes;
+// a stone we don't recognise is still searched for as a fuzzy word
+function mergeUnderstandingAttributes(attributes, fuzzyWords, understanding) {
+  const fields = [
+    understanding.stone,
+    understanding.sizeMm !== null ? `${understanding.sizeMm}mm` : null,
+    understanding.shape,
+    understanding.color
+  ];
+
+  fields.filter(Boolean).forEach(value => {
+    const parsed = extractAttributes(value);
+    Object.keys(parsed.attributes).forEach(type => {
+      parsed.attributes[type].forEach(attributeValue => {
+        if (!attributes[type].includes(attributeValue)) {
+          attributes[type].push(attributeValue);
         }
-      })
+      });
     });
+    if (value === understanding.stone) {
+      parsed.remainingWords
+        .filter(word => word.length > 2 && !fuzzyWords.includes(word))
+        .forEach(word => fuzzyWords.push(word));
+    }
+  });
+}
 
-    console.log('📥 Gemini API response status:', response.status);
+// Function to get a structured understanding of the query from the configured LLM provider (with caching)
+// Falls back to heuristics over the original text when there is no provider, the call fails or the reply is malformed
+async function preprocessQuery(text) {
+  console.log('🔍 Starting LLM preprocessing for text:', text);
+  
+  if (!llmProvider) {
+    console.log('⚠️ No LLM provider configured, skipping preprocessing');
+    return heuristicUnderstanding(text);
+  }
+  
+  console.log(`✅ LLM provider ${llmProvider.name}/${llmProvider.model} configured, proceeding with preprocessing`);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Gemini API error response:', errorText);
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-    }
+  // Check cache first for earlier understandings
+  const cacheKey = text.toLowerCase().trim();
+  if (gemstoneCache.correctedNames.has(cacheKey)) {
+    console.log('💾 Using cached understanding:', gemstoneCache.correctedNames.get(cacheKey));
+    return { ...gemstoneCache.correctedNames.get(cacheKey), cached: true };
+  }
+  
+  console.log('🔄 No cache hit, calling LLM provider...');
 
-    const data = await response.json();
-    console.log('📊 Gemini API response data received');
-    
-    if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts && data.candidates[0].content.parts[0]) {
-      const correctedText = data.candidates[0].content.parts[0].text.trim();
-      console.log('✅ Gemini response parsed successfully');
-      console.log('🤖 Raw Gemini response:', correctedText);
-      
-      // If Gemini says it's not gemstone related, return original text
-      if (correctedText.toLowerCase().includes('not gemstone related')) {
-        console.log('🤖 Gemini: Query not gemstone related, using original text');
-        gemstoneCache.correctedNames.set(cacheKey, text);
-        return text;
-      }
+  try {
+    const prompt = renderPrompt(llmConfig.promptTemplate || DEFAULT_QUERY_PROMPT, text);
+    const reply = await llmProvider.generate({ prompt, text, responseSchema: QUERY_UNDERSTANDING_SCHEMA });
+    console.log('🤖 Raw LLM response:', reply);
 
-      console.log('🤖 Gemini: Corrected gemstone keywords');
-      
-      // Cache the correction
-      gemstoneCache.correctedNames.set(cacheKey, correctedText);
-      
-      return correctedText;
-    } else {
-      console.error('❌ Unexpected Gemini response structure:', JSON.stringify(data, null, 2));
-      throw new Error('Unexpected Gemini response structure');
+    const understanding = parseQueryUnderstanding(reply);
+    if (!understanding) {
+      // Not cached, so the next identical query gets another chance
+      console.error('❌ LLM returned malformed query understanding, falling back to heuristics');
+      return heuristicUnderstanding(text);
     }
 
+    console.log('🤖 LLM: Understood query', understanding);
+    
+    // Cache the understanding
+    gemstoneCache.correctedNames.set(cacheKey, understanding);
+    
+    return understanding;
+
   } catch (error) {
-    console.error('❌ Gemini preprocessing error:', error);
-    console.log('⚠️ Falling back to original text');
-    return text; // Fallback to original text if Gemini fails
+    console.error('❌ LLM preprocessing error:', error.message);
+    console.log('⚠️ Falling back to heuristics over the original text');
+    return heuristicUnderstanding(text); // Fallback to original text if the provider fails
   }
 }
 
-// Function to query MySQL products (with caching)
+// Function to query MySQL products and format them as chatbot text (with caching)
 async function queryMySQLProducts(searchWords) {
+  const allProducts = await getCachedProducts();
+  const filteredProducts = rankProducts(filterProductsWithFuzzy(allProducts, searchWords, mysqlCache.index), searchWords, emptyAttributes());
+  return formatProductResponse(filteredProducts, searchWords);
+}
+
+// Function to get all products, from the cache when it is still fresh
+async function getCachedProducts() {
   // Check cache first
   const now = Date.now();
   if (mysqlCache.data && (now - mysqlCache.timestamp) < CACHE_DURATION) {
     console.log('💾 Using cached MySQL products');
-    const filteredProducts = filterProductsWithFuzzy(mysqlCache.data, searchWords);
-    const responseText = formatProductResponse(filteredProducts, searchWords);
-    return responseText;
+    return mysqlCache.data;
   }
 
   console.log('🔄 Fetching fresh products from MySQL...');
@@ -386,16 +790,13 @@ async function queryMySQLProducts(searchWords) {
     // Fetch all products from MySQL
     const allProducts = await fetchAllProductsFromMySQL();
     
-    // Cache the results
+    // Cache the results and rebuild the search index
     mysqlCache.data = allProducts;
+    mysqlCache.index = buildSearchIndex(allProducts, getSearchFields);
     mysqlCache.timestamp = now;
     
     console.log(`📦 Cached ${allProducts.length} products from MySQL`);
-    
-    // Apply fuzzy filtering
-    const filteredProducts = filterProductsWithFuzzy(allProducts, searchWords);
-    const responseText = formatProductResponse(filteredProducts, searchWords);
-    return responseText;
+    return allProducts;
     
   } catch (error) {
     console.error('❌ Error fetching products from MySQL:', error);
@@ -403,8 +804,32 @@ async function queryMySQLProducts(searchWords) {
   }
 }
 
-// Function to fetch all products from MySQL
-async function fetchAllProductsFromMySQL() {
+// Function to load products by ID (products no longer active are left out)
+// The in-memory backend reads them from the product cache, FULLTEXT loads only these
+async function fetchProductsByIds(productIds) {
+  if (productIds.length === 0) {
+    return [];
+  }
+  
+  if (SEARCH_BACKEND === 'fulltext') {
+    await initMySQL();
+    return fetchAllProductsFromMySQL(productIds);
+  }
+  
+  const wanted = new Set(productIds);
+  return (await getCachedProducts()).filter(product => wanted.has(product.id));
+}
+
+// Function to load a session's stored results again, in their original order and narrowing
+async function loadSessionResults(results) {
+  const products = await fetchProductsByIds([...new Set(results.map(result => result.id))]);
+  return restoreResults(results, new Map(products.map(product => [product.id, product])));
+}
+
+// Function to fetch all products from MySQL (or only the products with the IDs given)
+async function fetchAllProductsFromMySQL(productIds = null) {
+  const idFilter = productIds ? `IN (${productIds.map(() => '?').join(', ')})` : null;
+  
   try {
     const connection = await connectionPool.getConnection();
     
@@ -414,50 +839,47 @@ async function fetchAllProductsFromMySQL() {
         SELECT 
           p.id,
           p.title,
+          p.handle,
+          p.online_store_url,
+          p.vendor,
+          p.product_type,
           p.description,
           p.tags,
           p.image_url,
           p.image_alt
         FROM products p
+        WHERE ${ACTIVE_PRODUCT_CONDITION}${idFilter ? ` AND p.id ${idFilter}` : ''}
         ORDER BY p.title
-      `);
+      `, productIds || []);
       
       // Fetch variants for all products
       const [variantRows] = await connection.execute(`
         SELECT 
           pv.product_id,
+          pv.shopify_variant_id,
           pv.title,
+          pv.sku,
+          pv.barcode,
           pv.price,
+          pv.compare_at_price,
           pv.inventory_quantity,
-          pv.available_for_sale
+          pv.available_for_sale,
+          pv.selected_options,
+          pv.weight,
+          pv.weight_unit,
+          pv.image_url,
+          pv.image_alt
         FROM product_variants pv
-        ORDER BY pv.product_id, pv.title
-      `);
+        ${idFilter ? `WHERE pv.product_id ${idFilter}` : ''}
+        ORDER BY pv.product_id, pv.id
+      `, productIds || []);
       
-      // Group variants by product
-      const variantsByProduct = {};
-      variantRows.forEach(variant => {
-        if (!variantsByProduct[variant.product_id]) {
-          variantsByProduct[variant.product_id] = [];
-        }
-        variantsByProduct[variant.product_id].push({
-          title: variant.title,
-          price: variant.price,
-          inventory_quantity: variant.inventory_quantity,
-          available_for_sale: variant.available_for_sale
-        });
-      });
+      // Fetch extracted attributes, images and collections for all products
+      const details = await fetchProductDetails(connection, productIds);
       
-      // Combine products with their variants
-      const allProducts = productRows.map(product => ({
-        id: product.id,
-        title: product.title,
-        description: product.description,
-        tags: product.tags,
-        image: product.image_url,
-        imageAlt: product.image_alt,
-        variants: variantsByProduct[product.id] || []
-      }));
+      // Combine products with their variants, attributes, images and collections
+      const variantsByProduct = groupVariantRows(variantRows);
+      const allProducts = productRows.map(product => combineProductRow(product, variantsByProduct, details));
       
       console.log(`📦 Fetched ${allProducts.length} products with variants from MySQL`);
       return allProducts;
@@ -472,106 +894,612 @@ async function fetchAllProductsFromMySQL() {
   }
 }
 
+// Function to search products with the MySQL FULLTEXT index (MATCH ... AGAINST)
+// Only matching products and their variants are loaded, so the catalog never has to fit in memory
+async function searchProductsFullText(searchWords) {
+  const terms = searchWords
+    .map(word => word.replace(/[+\-<>()~*"@]/g, ''))
+    .filter(word => word.length > 2);
+
+  if (terms.length === 0) {
+    return [];
+  }
+
+  // Boolean mode: optional prefix terms (multi-word stone names as phrases) ranked by relevance; natural mode: plain words
+  const againstText = FULLTEXT_MODE === 'natural'
+    ? terms.join(' ')
+    : terms.map(term => term.includes(' ') ? `"${term}"` : `${term}*`).join(' ');
+  const modifier = FULLTEXT_MODE === 'natural' ? 'IN NATURAL LANGUAGE MODE' : 'IN BOOLEAN MODE';
+
+  await initMySQL();
+  const connection = await connectionPool.getConnection();
+  
+  try {
+    // Top matches by relevance, joined with their variants
+    const [rows] = await connection.execute(`
+      SELECT 
+        m.id,
+        m.title,
+        m.handle,
+        m.online_store_url,
+        m.vendor,
+        m.product_type,
+        m.description,
+        m.tags,
+        m.image_url,
+        m.image_alt,
+        m.relevance,
+        pv.product_id,
+        pv.shopify_variant_id,
+        pv.title AS variant_title,
+        pv.sku,
+        pv.barcode,
+        pv.price,
+        pv.compare_at_price,
+        pv.inventory_quantity,
+        pv.available_for_sale,
+        pv.selected_options,
+        pv.weight,
+        pv.weight_unit,
+        pv.image_url AS variant_image_url,
+        pv.image_alt AS variant_image_alt
+      FROM (
+        SELECT 
+          p.id,
+          p.title,
+          p.handle,
+          p.online_store_url,
+          p.vendor,
+          p.product_type,
+          p.description,
+          p.tags,
+          p.image_url,
+          p.image_alt,
+          MATCH(p.title, p.description, p.tags) AGAINST (? ${modifier}) AS relevance
+        FROM products p
+        WHERE MATCH(p.title, p.description, p.tags) AGAINST (? ${modifier})
+          AND ${ACTIVE_PRODUCT_CONDITION}
+        ORDER BY relevance DESC
+        LIMIT ${FULLTEXT_RESULT_LIMIT}
+      ) m
+      LEFT JOIN product_variants pv ON pv.product_id = m.id
+      ORDER BY m.relevance DESC, m.id, pv.id
+    `, [againstText, againstText]);
+    
+    if (rows.length === 0) {
+      return [];
+    }
+    
+    // One row per variant - collapse back into products, keeping relevance order
+    const productRows = [];
+    const seen = new Set();
+    rows.forEach(row => {
+      if (!seen.has(row.id)) {
+        seen.add(row.id);
+        productRows.push(row);
+      }
+    });
+    
+    const variantsByProduct = groupVariantRows(
+      rows.filter(row => row.product_id).map(row => ({
+        ...row,
+        title: row.variant_title,
+        image_url: row.variant_image_url,
+        image_alt: row.variant_image_alt
+      }))
+    );
+    
+    // Attributes, images and collections for the matched products only
+    const details = await fetchProductDetails(connection, productRows.map(row => row.id));
+    
+    const products = productRows.map(row => ({
+      ...combineProductRow(row, variantsByProduct, details),
+      match: {
+        backend: 'fulltext',
+        relevance: Number(Number(row.relevance).toFixed(3))
+      }
+    }));
+    
+    console.log(`📚 FULLTEXT search (${FULLTEXT_MODE}) for "${againstText}": ${products.length} products`);
+    return products;
+    
+  } finally {
+    connection.release();
+  }
+}
+
+// Function to group variant rows by product ID
+function groupVariantRows(variantRows) {
+  const variantsByProduct = {};
+  variantRows.forEach(variant => {
+    if (!variantsByProduct[variant.product_id]) {
+      variantsByProduct[variant.product_id] = [];
+    }
+    variantsByProduct[variant.product_id].push({
+      id: variant.shopify_variant_id || null,
+      title: variant.title,
+      sku: variant.sku || null,
+      barcode: variant.barcode || null,
+      price: variant.price,
+      compare_at_price: variant.compare_at_price || null,
+      inventory_quantity: variant.inventory_quantity,
+      available_for_sale: variant.available_for_sale,
+      options: parseSelectedOptions(variant.selected_options),
+      weight: variant.weight === undefined ? null : variant.weight,
+      weight_unit: variant.weight_unit || null,
+      image: variant.image_url || null,
+      image_alt: variant.image_alt || null
+    });
+  });
+  return variantsByProduct;
+}
+
+// Function to parse a variant's stored selected options ([{"name":"Size","value":"8mm"}])
+function parseSelectedOptions(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const options = JSON.parse(value);
+    return Array.isArray(options) ? options : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Function to fetch attributes, images and collections, for all products or only the given IDs
+async function fetchProductDetails(connection, productIds = null) {
+  const where = productIds ? `WHERE product_id IN (${productIds.map(() => '?').join(', ')})` : '';
+  const params = productIds || [];
+
+  const [attributeRows] = await connection.execute(`
+    SELECT product_id, attribute_type, attribute_value
+    FROM product_attributes
+    ${where}
+  `, params);
+  const [imageRows] = await connection.execute(`
+    SELECT product_id, url, alt_text
+    FROM product_images
+    ${where}
+    ORDER BY product_id, position
+  `, params);
+  const [collectionRows] = await connection.execute(`
+    SELECT product_id, handle, title
+    FROM product_collections
+    ${where}
+    ORDER BY product_id, title
+  `, params);
+
+  return {
+    attributesByProduct: groupAttributeRows(attributeRows),
+    imagesByProduct: groupRowsByProduct(imageRows, row => ({ url: row.url, alt: row.alt_text || null })),
+    collectionsByProduct: groupRowsByProduct(collectionRows, row => ({ handle: row.handle, title: row.title }))
+  };
+}
+
+// Function to group rows by product ID, mapping each row to a value
+function groupRowsByProduct(rows, mapRow) {
+  const byProduct = {};
+  rows.forEach(row => {
+    if (!byProduct[row.product_id]) {
+      byProduct[row.product_id] = [];
+    }
+    byProduct[row.product_id].push(mapRow(row));
+  });
+  return byProduct;
+}
+
+// Function to group attribute rows by product ID
+function groupAttributeRows(attributeRows) {
+  const attributesByProduct = {};
+  attributeRows.forEach(row => {
+    if (!attributesByProduct[row.product_id]) {
+      attributesByProduct[row.product_id] = emptyAttributes();
+    }
+    const productAttributes = attributesByProduct[row.product_id];
+    if (productAttributes[row.attribute_type]) {
+      productAttributes[row.attribute_type].push(row.attribute_value);
+    }
+  });
+  return attributesByProduct;
+}
+
+// Function to combine a product row with its variants and attributes
+function combineProductRow(product, variantsByProduct, details) {
+  const combined = {
+    id: product.id,
+    title: product.title,
+    handle: product.handle || null,
+    onlineStoreUrl: product.online_store_url || null,
+    vendor: product.vendor || null,
+    productType: product.product_type || null,
+    description: product.description,
+    tags: product.tags,
+    image: product.image_url,
+    imageAlt: product.image_alt,
+    images: details.imagesByProduct[product.id] || [],
+    collections: details.collectionsByProduct[product.id] || [],
+    variants: variantsByProduct[product.id] || []
+  };
+  
+  // Products synced before attributes existed get them extracted on the fly
+  combined.attributes = details.attributesByProduct[product.id] || extractProductAttributes(combined);
+  return combined;
+}
+
 // Function to filter products with advanced fuzzy matching
-function filterProductsWithFuzzy(products, searchWords) {
+// With a search index only candidate products and terms are checked; without one every product is scanned
+function filterProductsWithFuzzy(products, searchWords, searchIndex, mode = 'any') {
   if (!Array.isArray(products)) {
     return [];
   }
 
   if (!Array.isArray(searchWords) || searchWords.length === 0) {
-    console.log('No search words, returning first 20 products');
-    return products.slice(0, 20);
+    // Paging (limit/offset) decides how many are shown
+    console.log(`No search words, returning all ${products.length} products`);
+    return products;
   }
 
   // No keyword filtering - let the fuzzy matching find relevant products
   // This allows for thousands of different gemstone names and variations
 
-  console.log('Filtering products with advanced fuzzy matching for words:', searchWords);
+  console.log(`Filtering products with ${searchIndex ? 'indexed' : 'advanced'} fuzzy matching for words:`, searchWords);
 
-  const filtered = products.filter(p => {
-    const title = p.title.toLowerCase();
-    const description = p.description ? p.description.toLowerCase() : '';
-    const searchText = `${title} ${description}`;
-
-    // Check if ANY of the search words match (with advanced fuzzy matching)
-    const hasMatch = searchWords.some(word => {
-      // Exact match first (fastest)
-      if (searchText.includes(word)) {
-        return true;
+  // Look every word up in the index once, instead of once per product
+  // Phrases are not in the token index and are matched against the product text instead
+  const indexedMatches = searchIndex
+    ? searchWords.map(word => word.includes(' ') ? null : findIndexedWordMatches(word, searchIndex))
+    : null;
+
+  const filtered = [];
+
+  products.forEach(p => {
+    // Find the best match for each search word across title, tags and description
+    let matches;
+    if (indexedMatches) {
+      matches = indexedMatches
+        .map((matchesByProduct, index) => matchesByProduct
+          ? pickBestFieldMatch(matchesByProduct.get(p.id))
+          : findBestFieldMatch(searchWords[index], getSearchFields(p), p.title))
+        .filter(Boolean);
+    } else {
+      const fields = getSearchFields(p);
+      matches = searchWords
+        .map(word => findBestFieldMatch(word, fields, p.title))
+        .filter(Boolean);
+    }
+
+    // "all" needs every word, "any" one of them
+    const required = mode === 'all' ? searchWords.length : 1;
+    if (matches.length >= required) {
+      const matchedWords = matches.map(match => match.word);
+
+      // Reduced logging - only the first few matched products
+      if (filtered.length < MATCH_LOG_LIMIT) {
+        console.log(`✅ Product "${p.title}" matches search word(s): ${matchedWords.join(', ')}`);
       }
-      
-      // Advanced fuzzy matching for longer words
-      const wordLength = word.length;
-      if (wordLength > 5) { // Increased minimum length for substring matching
-        // Check if any meaningful substring of the word exists in the search text
-        // Only use longer substrings to avoid false positives
-        const minSubstringLength = Math.max(5, Math.floor(wordLength * 0.7)); // At least 5 chars, or 70% of word
-        for (let i = 0; i <= wordLength - minSubstringLength; i++) {
-          const substring = word.substring(i, i + minSubstringLength);
-          if (searchText.includes(substring)) {
-            // Only log meaningful matches
-            if (word.length > 6) {
-              console.log(`🔍 Substring match: "${word}" → "${substring}" in "${p.title}"`);
-            }
-            return true;
-          }
-        }
-        
-        // Check for transposed letters and character swaps
-        if (wordLength > 4) {
-          const searchWords = searchText.split(' ');
-          for (const searchWord of searchWords) {
-            if (searchWord.length > 3) {
-              const similarity = calculateSimilarity(word, searchWord);
-              if (similarity >= FUZZY_THRESHOLD) {
-                console.log(`🔍 Fuzzy match: "${word}" ≈ "${searchWord}" (similarity: ${similarity.toFixed(2)}) in "${p.title}"`);
-                logFuzzyMatch(word, searchWord, similarity, p.title);
-                return true;
-              }
-            }
-          }
+
+      filtered.push({
+        ...p,
+        match: {
+          ...p.match,
+          matchedWords,
+          matches
         }
+      });
+    }
+  });
+
+  console.log(`📊 Fuzzy filtering (${mode} words): ${products.length} → ${filtered.length} products (reduced logging)`);
+  return filtered;
+}
+
+// Function to find the matches of one word through the search index
+// Mirrors findWordMatch (exact, then substring, then fuzzy) for every product field at once.
+// Returns Map(productId → Map(field → match)); the first match recorded for a field wins.
+function findIndexedWordMatches(word, searchIndex) {
+  const matchesByProduct = new Map();
+
+  const recordMatch = (token, match) => {
+    getPostings(searchIndex, token).forEach(({ productId, field }) => {
+      if (!matchesByProduct.has(productId)) {
+        matchesByProduct.set(productId, new Map());
+      }
+      const fieldMatches = matchesByProduct.get(productId);
+      if (!fieldMatches.has(field)) {
+        fieldMatches.set(field, match);
       }
-      
-      return false;
     });
-    
-    if (hasMatch) {
-      const matchedWords = searchWords.filter(word => {
-        if (searchText.includes(word)) return true;
-        // Check fuzzy match
-        const wordLength = word.length;
-        if (wordLength > 3) {
-          // Substring check
-          const minSubstringLength = Math.max(3, Math.floor(wordLength * 0.6));
-          for (let i = 0; i <= wordLength - Math.floor(wordLength * 0.4); i++) {
-            const substring = word.substring(i, i + minSubstringLength);
-            if (searchText.includes(substring)) return true;
-          }
-          // Similarity check
-          const searchWords = searchText.split(' ');
-          for (const searchWord of searchWords) {
-            if (searchWord.length > 3) {
-              const similarity = calculateSimilarity(word, searchWord);
-              if (similarity >= FUZZY_THRESHOLD) return true;
-            }
-          }
-        }
-        return false;
+  };
+
+  // Exact match first
+  findTokensContaining(searchIndex, word).forEach(token => {
+    recordMatch(token, { word, type: 'exact', term: word, similarity: 1 });
+  });
+
+  const wordLength = word.length;
+  if (wordLength > 5) {
+    // Meaningful substrings of the word, same lengths as findWordMatch
+    const minSubstringLength = Math.max(5, Math.floor(wordLength * 0.7));
+    for (let i = 0; i <= wordLength - minSubstringLength; i++) {
+      const substring = word.substring(i, i + minSubstringLength);
+      findTokensContaining(searchIndex, substring).forEach(token => {
+        recordMatch(token, { word, type: 'substring', term: substring, similarity: substring.length / wordLength });
       });
-      
-      // Reduced logging - only log first few products to reduce spam
-      // Note: index is not available in this scope, so we'll log all matches for now
-      console.log(`✅ Product "${p.title}" matches search word(s): ${matchedWords.join(', ')}`);
     }
 
-    return hasMatch;
+    // Levenshtein only against candidate terms, most similar first
+    findFuzzyCandidates(searchIndex, word, FUZZY_THRESHOLD, FUZZY_MIN_TOKEN_LENGTH)
+      .map(token => ({ token, similarity: calculateSimilarity(word, token) }))
+      .filter(candidate => candidate.similarity >= FUZZY_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .forEach(({ token, similarity }) => {
+        console.log(`🔍 Fuzzy match: "${word}" ≈ "${token}" (similarity: ${similarity.toFixed(2)}) in ${getPostings(searchIndex, token).length} product field(s)`);
+        recordMatch(token, { word, type: 'fuzzy', term: token, similarity });
+      });
+  }
+
+  return matchesByProduct;
+}
+
+// Function to pick the highest scoring match from a Map(field → match)
+function pickBestFieldMatch(fieldMatches) {
+  if (!fieldMatches) {
+    return null;
+  }
+
+  let best = null;
+  fieldMatches.forEach((match, field) => {
+    const scored = scoreFieldMatch(match, field);
+    if (!best || scored.score > best.score) {
+      best = scored;
+    }
   });
 
-  console.log(`📊 Fuzzy filtering: ${products.length} → ${filtered.length} products (reduced logging)`);
+  return best;
+}
+
+// Function to score a match by the field it was found in and how it matched
+function scoreFieldMatch(match, field) {
+  return {
+    ...match,
+    field,
+    score: FIELD_WEIGHTS[field] * MATCH_TYPE_WEIGHTS[match.type] * match.similarity
+  };
+}
+
+// Function to get the lowercase searchable fields of a product
+function getSearchFields(product) {
+  const tags = Array.isArray(product.tags) ? product.tags.join(', ') : product.tags;
+  return {
+    title: product.title.toLowerCase(),
+    tags: tags ? tags.toLowerCase() : '',
+    description: product.description ? product.description.toLowerCase() : ''
+  };
+}
+
+// Function to find the highest scoring match of a word in any product field
+function findBestFieldMatch(word, fields, productTitle) {
+  let best = null;
+
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    if (!fields[field]) {
+      continue;
+    }
+
+    const match = findWordMatch(word, fields[field], productTitle);
+    if (!match) {
+      continue;
+    }
+
+    const scored = scoreFieldMatch(match, field);
+    if (!best || scored.score > best.score) {
+      best = scored;
+    }
+
+    // An exact title match cannot be beaten
+    if (field === 'title' && match.type === 'exact') {
+      break;
+    }
+  }
+
+  return best;
+}
+
+// Function to score and sort matched products by relevance
+// Title > tags > description, exact > substring > fuzzy, plus a bonus for matching more query terms
+function rankProducts(products, searchWords, queryAttributes) {
+  if (!Array.isArray(products)) {
+    return [];
+  }
+
+  const attributeTermCount = Object.values(queryAttributes || {}).reduce((total, values) => total + values.length, 0);
+  const totalTerms = (searchWords ? searchWords.length : 0) + attributeTermCount;
+
+  const ranked = products.map(p => {
+    const match = p.match || {};
+    const wordScore = (match.matches || []).reduce((total, m) => total + m.score, 0);
+    const attributeScore = scoreAttributeMatches(p, match.attributes);
+    const matchedTerms = (match.matches || []).length + attributeScore.count;
+    const coverage = totalTerms > 0 ? matchedTerms / totalTerms : 0;
+    const relevanceScore = match.relevance ? FULLTEXT_RELEVANCE_WEIGHT * match.relevance : 0;
+    const score = wordScore + attributeScore.score + COVERAGE_BONUS * coverage + relevanceScore;
+
+    return {
+      ...p,
+      match: {
+        ...match,
+        score: Number(score.toFixed(3)),
+        coverage: Number(coverage.toFixed(3))
+      }
+    };
+  });
+
+  ranked.sort((a, b) => b.match.score - a.match.score || a.title.localeCompare(b.title));
+
+  // Debug output for tuning the weights
+  ranked.slice(0, SCORE_DEBUG_LIMIT).forEach((p, index) => {
+    console.log(`🏆 #${index + 1} score=${p.match.score} coverage=${p.match.coverage} "${p.title}"`);
+  });
+
+  return ranked;
+}
+
+// Function to score matched attribute values by the field they appear in
+function scoreAttributeMatches(product, matchedAttributes) {
+  const fields = getSearchFields(product);
+  let score = 0;
+  let count = 0;
+
+  Object.values(matchedAttributes || {}).forEach(values => {
+    values.forEach(value => {
+      const field = Object.keys(FIELD_WEIGHTS).find(name => fields[name].includes(value)) || 'description';
+      score += FIELD_WEIGHTS[field] * MATCH_TYPE_WEIGHTS.exact;
+      count++;
+    });
+  });
+
+  return { score, count };
+}
+
+// Function to match candidates against the query's attributes and words
+// "all" requires every attribute and word; "any" keeps products matching at least one of them
+function matchProducts(candidates, attributes, fuzzyWords, searchIndex, mode) {
+  if (mode === 'all') {
+    if (!hasAttributes(attributes)) {
+      return filterProductsWithFuzzy(candidates, fuzzyWords, searchIndex, 'all');
+    }
+    const attributeMatches = filterProductsByAttributes(candidates, attributes, 'all');
+    return fuzzyWords.length > 0 ? filterProductsWithFuzzy(attributeMatches, fuzzyWords, searchIndex, 'all') : attributeMatches;
+  }
+
+  // Union of attribute and word matches, keeping both kinds of match details
+  const matchedById = new Map();
+  if (hasAttributes(attributes)) {
+    filterProductsByAttributes(candidates, attributes, 'any').forEach(p => matchedById.set(p.id, p));
+  }
+  if (fuzzyWords.length > 0) {
+    filterProductsWithFuzzy(candidates, fuzzyWords, searchIndex, 'any').forEach(p => {
+      const existing = matchedById.get(p.id);
+      matchedById.set(p.id, existing
+        ? { ...existing, match: { ...existing.match, matchedWords: p.match.matchedWords, matches: p.match.matches } }
+        : p);
+    });
+  }
+  return Array.from(matchedById.values());
+}
+
+// Function to drop products mentioning an excluded term ("not dyed", "without silver")
+// Excluded stones also drop products of that stone family
+function excludeProducts(products, excludedTerms) {
+  if (!Array.isArray(products) || excludedTerms.length === 0) {
+    return products;
+  }
+
+  const patterns = excludedTerms.map(createExclusionPattern);
+  const filtered = products.filter(p => {
+    const fields = getSearchFields(p);
+    const text = `${fields.title} ${fields.tags} ${fields.description}`;
+    const stones = (p.attributes && p.attributes.stone) || [];
+
+    return !excludedTerms.some((term, index) => {
+      return patterns[index].test(text) || stones.some(stone => isStoneInFamily(stone, term));
+    });
+  });
+
+  console.log(`🚫 Excluded terms ${excludedTerms.join(', ')}: ${products.length} → ${filtered.length} products`);
   return filtered;
 }
 
+// Function to keep only the variants whose options fit the query's size/shape ("8mm" → the 8mm strand)
+// Products where no variant fits keep them all - the size may only be in the title or description
+function narrowVariantsToAttributes(products, queryAttributes) {
+  if (queryAttributes.size.length === 0 && queryAttributes.shape.length === 0) {
+    return products;
+  }
+
+  return products.map(product => {
+    const variants = product.variants || [];
+    const matching = variants.filter(variant => variantMatchesAttributes(variant, queryAttributes));
+    if (matching.length === 0 || matching.length === variants.length) {
+      return product;
+    }
+    return { ...product, variants: matching, variantsNarrowed: true };
+  });
+}
+
+// Function to filter products on extracted attributes (size, shape, stone, color, form)
+function filterProductsByAttributes(products, queryAttributes, mode = 'all') {
+  if (!Array.isArray(products)) {
+    return [];
+  }
+
+  const filtered = [];
+
+  products.forEach(p => {
+    const matchedAttributes = matchAttributes(p.attributes, queryAttributes, mode);
+    if (matchedAttributes) {
+      filtered.push({
+        ...p,
+        match: {
+          ...p.match,
+          attributes: matchedAttributes
+        }
+      });
+    }
+  });
+
+  console.log(`📊 Attribute filtering: ${products.length} → ${filtered.length} products`, queryAttributes);
+  return filtered;
+}
+
+// Function to match a single search word against product text
+// Returns { word, type, term, similarity } or null when the word does not match
+function findWordMatch(word, searchText, productTitle) {
+  // Exact match first (fastest)
+  if (searchText.includes(word)) {
+    return { word, type: 'exact', term: word, similarity: 1 };
+  }
+
+  // Phrases only match exactly
+  if (word.includes(' ')) {
+    return null;
+  }
+  
+  // Advanced fuzzy matching for longer words
+  const wordLength = word.length;
+  if (wordLength > 5) { // Increased minimum length for substring matching
+    // Check if any meaningful substring of the word exists in the search text
+    // Only use longer substrings to avoid false positives
+    const minSubstringLength = Math.max(5, Math.floor(wordLength * 0.7)); // At least 5 chars, or 70% of word
+    for (let i = 0; i <= wordLength - minSubstringLength; i++) {
+      const substring = word.substring(i, i + minSubstringLength);
+      if (searchText.includes(substring)) {
+        // Only log meaningful matches
+        if (word.length > 6) {
+          console.log(`🔍 Substring match: "${word}" → "${substring}" in "${productTitle}"`);
+        }
+        return { word, type: 'substring', term: substring, similarity: substring.length / wordLength };
+      }
+    }
+    
+    // Check for transposed letters and character swaps
+    const textWords = searchText.split(' ');
+    for (const textWord of textWords) {
+      if (textWord.length >= FUZZY_MIN_TOKEN_LENGTH) {
+        const similarity = calculateSimilarity(word, textWord);
+        if (similarity >= FUZZY_THRESHOLD) {
+          console.log(`🔍 Fuzzy match: "${word}" ≈ "${textWord}" (similarity: ${similarity.toFixed(2)}) in "${productTitle}"`);
+          logFuzzyMatch(word, textWord, similarity, productTitle);
+          return { word, type: 'fuzzy', term: textWord, similarity };
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
 // Function to calculate similarity between two strings (Levenshtein distance based)
 function calculateSimilarity(str1, str2) {
   const longer = str1.length > str2.length ? str1 : str2;
@@ -623,22 +1551,28 @@ function logFuzzyMatch(originalWord, matchedWord, similarity, productTitle) {
     type: 'fuzzy_match'
   };
   
+  // Matches that put products in the results are also stored in search_log (see search-log.js)
   console.log('📊 FUZZY MATCH LOG:', JSON.stringify(logEntry, null, 2));
-  
-  // In production, you might want to send this to a logging service
-  // or store it in a database for analysis
 }
 
 // Function to format product response with images
-function formatProductResponse(products, searchWords) {
+// offset selects the page of results to show ("show more" follow-ups)
+function formatProductResponse(products, searchWords, appliedFilters, offset = 0) {
+  const filterText = Array.isArray(appliedFilters) && appliedFilters.length > 0
+    ? ` (${appliedFilters.join(', ')})`
+    : '';
+
   if (!Array.isArray(products) || products.length === 0) {
     const searchText = Array.isArray(searchWords) ? searchWords.join(', ') : 'your search';
-    return `I couldn't find any products matching "${searchText}". Please try different keywords or ask me to show you our available gemstone beads and jewelry supplies.`;
+    return `I couldn't find any products matching "${searchText}"${filterText}. Please try different keywords or ask me to show you our available gemstone beads and jewelry supplies.`;
   }
 
-  let response = `Found ${products.length} product(s) for you:\n\n`;
+  const pageEnd = Math.min(offset + RESULTS_PAGE_SIZE, products.length);
+  let response = offset > 0
+    ? `Here are products ${offset + 1}-${pageEnd} of ${products.length}${filterText}:\n\n`
+    : `Found ${products.length} product(s) for you${filterText}:\n\n`;
 
-  products.slice(0, 20).forEach((product, index) => { // Limit display to 20
+  products.slice(offset, pageEnd).forEach((product, index) => { // Limit display to one page
     response += `💎 ${product.title}\n`;
     
     // Add image if available
@@ -649,19 +1583,20 @@ function formatProductResponse(products, searchWords) {
     if (product.variants && product.variants.length > 0) {
       const variants = product.variants.slice(0, 3); // Show first 3 variants
       variants.forEach(variant => {
-        const price = variant.price ? `$${parseFloat(variant.price).toFixed(2)}` : 'Price on request';
-        const inventory = variant.inventory_quantity > 0 ?
-          `(In Stock - ${variant.inventory_quantity} left)` :
-          '(Out of Stock)';
-        response += `   • ${variant.title || 'Standard'}: ${price} ${inventory}\n`;
+        response += `${formatVariantLine(variant)}\n`;
       });
     }
 
+    const link = getProductUrl(product);
+    if (link) {
+      response += `🔗 ${link}\n`;
+    }
+
     response += '\n';
   });
 
-  if (products.length > 20) {
-    response += `... and ${products.length - 20} more products available!\n`;
+  if (products.length > pageEnd) {
+    response += `... and ${products.length - pageEnd} more products available! Say "show more" to see them.\n`;
   }
 
   response += "Would you like more details about any of these products, or shall I help you with something else?";
@@ -669,48 +1604,237 @@ function formatProductResponse(products, searchWords) {
   return response;
 }
 
-// Start the server
-const server = app.listen(PORT, '0.0.0.0', async () => {
-  console.log(`🚀 Reza Gem Collection Webhook running on port ${PORT}`);
-  console.log(`🌐 Health check: http://0.0.0.0:${PORT}/`);
-  console.log(`🔗 Webhook endpoint: http://0.0.0.0:${PORT}/webhook`);
-  console.log(`📊 MySQL Host: ${MYSQL_HOST}`);
-  console.log(`👤 MySQL User: ${MYSQL_USER}`);
-  console.log(`🗄️ MySQL Database: ${MYSQL_DATABASE}`);
-  
-  // Initialize MySQL and create tables on startup
-  try {
-    console.log('🔧 Initializing MySQL and creating tables...');
-    await initMySQL();
-    console.log('✅ MySQL initialized and tables ready!');
-  } catch (error) {
-    console.error('❌ Failed to initialize MySQL on startup:', error.message);
+// Function to format one variant line with price and stock
+function formatVariantLine(variant) {
+  let price = variant.price ? `$${parseFloat(variant.price).toFixed(2)}` : 'Price on request';
+  if (variant.price && variant.compare_at_price && parseFloat(variant.compare_at_price) > parseFloat(variant.price)) {
+    price += ` (was $${parseFloat(variant.compare_at_price).toFixed(2)})`;
   }
-});
+  const inventory = variant.inventory_quantity > 0 ?
+    `(In Stock - ${variant.inventory_quantity} left)` :
+    '(Out of Stock)';
+  return `   • ${variant.title || 'Standard'}: ${price} ${inventory}`;
+}
+
+// Function to format the details of a single product ("tell me about the second one")
+function formatProductDetails(product) {
+  let response = `💎 ${product.title}\n`;
 
-// Error handling
-server.on('error', (error) => {
-  console.error('❌ Server error:', error);
-  if (error.code === 'EADDRINUSE') {
-    console.error('❌ Port is already in use');
+  if (product.image) {
+    response += `🖼️ ${product.image}\n`;
   }
-});
 
-process.on('SIGTERM', () => {
-  console.log('🔄 Shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+  if (product.description) {
+    const description = product.description.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+    response += `\n${description.length > 300 ? `${description.substring(0, 297)}...` : description}\n`;
+  }
+
+  if (product.variants && product.variants.length > 0) {
+    response += '\nOptions:\n';
+    product.variants.forEach(variant => {
+      response += `${formatVariantLine(variant)}\n`;
+    });
+  }
+
+  const link = getProductUrl(product);
+  if (link) {
+    response += `\n🔗 ${link}\n`;
+  }
+
+  response += '\nWould you like to see other options, or shall I help you with something else?';
+  return response;
+}
+
+// Function to build Dialogflow Messenger rich content: one card per product plus refinement chips
+function formatRichContent(products, searchResult) {
+  if (!Array.isArray(products) || products.length === 0) {
+    return [];
+  }
+
+  const richContent = products.slice(0, RICH_CARD_LIMIT).map(product => {
+    const card = [];
+
+    const image = getDisplayImage(product);
+    if (image.url) {
+      card.push({
+        type: 'image',
+        rawUrl: image.url,
+        accessibilityText: image.alt || product.title
+      });
+    }
+
+    const info = {
+      type: 'info',
+      title: product.title,
+      subtitle: formatCardSubtitle(product)
+    };
+    const link = getProductUrl(product);
+    if (link) {
+      info.actionLink = link;
+    }
+    card.push(info);
+
+    return card;
   });
-});
+
+  const chips = buildRefinementChips(products, searchResult);
+  if (chips.length > 0) {
+    richContent.push([{
+      type: 'chips',
+      options: chips.map(text => ({ text }))
+    }]);
+  }
+
+  return richContent;
+}
+
+// Function to pick a card image: the matching variant's own image when the search narrowed
+// the variants (e.g. to one size), else the product image
+function getDisplayImage(product) {
+  const variant = product.variantsNarrowed ? (product.variants || []).find(candidate => candidate.image) : null;
+  if (variant) {
+    return { url: variant.image, alt: variant.image_alt };
+  }
+  return { url: product.image, alt: product.imageAlt };
+}
+
+// Function to summarise price and stock for a product card
+function formatCardSubtitle(product) {
+  const variants = product.variants || [];
+  const prices = variants
+    .map(variant => parseFloat(variant.price))
+    .filter(price => !Number.isNaN(price));
+  const inStock = variants.reduce((total, variant) => total + Math.max(variant.inventory_quantity || 0, 0), 0);
+
+  let price = 'Price on request';
+  if (prices.length > 0) {
+    const lowest = Math.min(...prices);
+    const highest = Math.max(...prices);
+    price = lowest === highest ? `$${lowest.toFixed(2)}` : `$${lowest.toFixed(2)} - $${highest.toFixed(2)}`;
+  }
+
+  const stock = inStock > 0 ? `In Stock (${inStock})` : 'Out of Stock';
+  return `${price} · ${stock}`;
+}
+
+// Function to build a storefront link for a product
+// Prefers Shopify's own product URL, then /products/<handle>, then a storefront search.
+// When search narrowed the product to one variant (e.g. one size) the link selects it.
+function getProductUrl(product) {
+  let url = product.onlineStoreUrl || null;
+  if (!url && STOREFRONT_URL) {
+    url = product.handle
+      ? `${STOREFRONT_URL}/products/${encodeURIComponent(product.handle)}`
+      : `${STOREFRONT_URL}/search?q=${encodeURIComponent(product.title)}`;
+  }
+  if (!url) {
+    return null;
+  }
+
+  const variants = product.variants || [];
+  const variantId = product.variantsNarrowed && variants.length === 1 && variants[0].id
+    ? String(variants[0].id).split('/').pop()
+    : null;
+  if (variantId && (product.onlineStoreUrl || product.handle)) {
+    url += `${url.includes('?') ? '&' : '?'}variant=${encodeURIComponent(variantId)}`;
+  }
+  return url;
+}
+
+// Function to suggest refinements (size, colour, shape) found in the results but not in the query
+function buildRefinementChips(products, searchResult) {
+  const queryAttributes = (searchResult && searchResult.attributes) || emptyAttributes();
+  const baseQuery = ((searchResult && searchResult.originalText) || '').trim();
+  const chips = [];
+
+  ['size', 'color', 'shape'].forEach(type => {
+    const counts = new Map();
+    products.forEach(product => {
+      ((product.attributes && product.attributes[type]) || []).forEach(value => {
+        if (!queryAttributes[type] || !queryAttributes[type].includes(value)) {
+          counts.set(value, (counts.get(value) || 0) + 1);
+        }
+      });
+    });
+
+    // Most common values first, a few per attribute type
+    Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CHIPS_PER_ATTRIBUTE)
+      .forEach(([value]) => chips.push(`${baseQuery} ${value}`.trim()));
+  });
+
+  return chips.slice(0, MAX_CHIPS);
+}
+
+// Function to start the webhook server
+function startServer() {
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 Reza Gem Collection Webhook running on port ${PORT}`);
+    console.log(`🌐 Health check: http://0.0.0.0:${PORT}/`);
+    console.log(`🔗 Webhook endpoint: http://0.0.0.0:${PORT}/webhook`);
+    if (DIALOGFLOW_WEBHOOK_AUTH_DISABLED) {
+      console.log('⚠️ Webhook authentication is disabled (DIALOGFLOW_WEBHOOK_AUTH_DISABLED=true) - /webhook accepts requests from anyone');
+    } else if (!DIALOGFLOW_WEBHOOK_SECRET) {
+      console.log('⚠️ DIALOGFLOW_WEBHOOK_SECRET is not set - /webhook refuses every request');
+    }
+    console.log(`🌍 CORS allowed origins: ${ALLOWED_ORIGINS.length > 0 ? ALLOWED_ORIGINS.join(', ') : 'none'}`);
+    console.log(`📊 MySQL Host: ${MYSQL_HOST}`);
+    console.log(`👤 MySQL User: ${MYSQL_USER}`);
+    console.log(`🗄️ MySQL Database: ${MYSQL_DATABASE}`);
+    console.log(`🤖 LLM provider: ${llmProvider ? `${llmProvider.name}/${llmProvider.model}` : 'none'}`);
+    console.log(`🔎 Search backend: ${SEARCH_BACKEND}${SEARCH_BACKEND === 'fulltext' ? ` (${FULLTEXT_MODE} mode)` : ''}`);
+  });
+
+  // Error handling
+  server.on('error', (error) => {
+    console.error('❌ Server error:', error);
+    if (error.code === 'EADDRINUSE') {
+      console.error('❌ Port is already in use');
+    }
+  });
+
+  process.on('SIGTERM', () => {
+    console.log('🔄 Shutting down gracefully...');
+    server.close(() => {
+      console.log('✅ Server closed');
+      process.exit(0);
+    });
+  });
+}
+
+// Start the server when run directly (benchmarks and tests require this file)
+// It refuses to start against an out-of-date schema; a database that can't be reached yet is
+// retried on the first request.
+if (require.main === module) {
+  console.log('🔧 Initializing MySQL and checking the database schema...');
+  initMySQL()
+    .then(mysqlReady => {
+      console.log(mysqlReady ? '✅ MySQL initialized and schema up to date!' : '⚠️ MySQL not reachable yet, retrying on the first request');
+      startServer();
+    })
+    .catch(error => {
+      console.error('❌ Refusing to start:', error.message);
+      process.exit(1);
+    });
+}
 
 // Export functions for testing
 module.exports = {
+  app,
   filterProductsWithFuzzy,
+  filterProductsByAttributes,
+  findWordMatch,
+  rankProducts,
   calculateSimilarity,
   levenshteinDistance,
   formatProductResponse,
+  formatRichContent,
   queryMySQLProducts,
+  searchProducts,
+  getCachedProducts,
+  getSearchFields,
   fetchAllProductsFromMySQL,
+  searchProductsFullText,
   initMySQL
 };
@@ -0,0 +1,323 @@
+// Pluggable LLM providers for query preprocessing
+// Every provider exposes generate({ prompt, text, responseSchema }) → string and keeps latency/failure stats.
+// With a responseSchema (JSON Schema) the provider asks the model for JSON matching it.
+// Providers: "gemini" (Google Generative Language API), "openai" (any OpenAI-compatible
+// /chat/completions endpoint) and "stub" (deterministic, offline - for tests and local development).
+
+const fs = require('fs');
+
+const DEFAULTS = {
+  gemini: {
+    model: 'gemini-1.5-pro',
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta'
+  },
+  openai: {
+    model: 'gpt-4o-mini',
+    endpoint: 'https://api.openai.com/v1'
+  },
+  stub: {
+    model: 'stub',
+    endpoint: null
+  }
+};
+
+// Typos the stub provider corrects, so offline runs still exercise the correction path
+const STUB_CORRECTIONS = {
+  amethist: 'amethyst',
+  amethyste: 'amethyst',
+  labradoright: 'labradorite',
+  turqoise: 'turquoise',
+  tourquoise: 'turquoise',
+  saphire: 'sapphire',
+  emerld: 'emerald',
+  moonston: 'moonstone'
+};
+
+// Function to read the LLM configuration from environment variables
+function loadLLMConfig(env = process.env) {
+  let provider = (env.LLM_PROVIDER || '').toLowerCase();
+  if (!provider) {
+    provider = env.GEMINI_API_KEY ? 'gemini' : 'none';
+  }
+
+  const defaults = DEFAULTS[provider] || {};
+  let apiKey = env.LLM_API_KEY;
+  if (!apiKey && provider === 'gemini') {
+    apiKey = env.GEMINI_API_KEY;
+  }
+  if (!apiKey && provider === 'openai') {
+    apiKey = env.OPENAI_API_KEY;
+  }
+
+  return {
+    provider,
+    apiKey,
+    model: env.LLM_MODEL || defaults.model,
+    endpoint: (env.LLM_ENDPOINT || defaults.endpoint || '').replace(/\/+$/, ''),
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 8000,
+    maxOutputTokens: parseInt(env.LLM_MAX_OUTPUT_TOKENS, 10) || 256, // Enough for the JSON reply, little room for commentary
+    responseFormat: (env.LLM_RESPONSE_FORMAT || 'json_schema').toLowerCase(), // OpenAI-compatible: "json_schema" or "json_object"
+    temperature: env.LLM_TEMPERATURE !== undefined ? parseFloat(env.LLM_TEMPERATURE) : 0.1,
+    promptTemplate: env.LLM_PROMPT_FILE ? fs.readFileSync(env.LLM_PROMPT_FILE, 'utf8') : null
+  };
+}
+
+// Function to translate a JSON Schema into Gemini's OpenAPI-style responseSchema
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(t => t !== 'null');
+  const geminiSchema = { type: type.toUpperCase() };
+
+  if (types.includes('null')) {
+    geminiSchema.nullable = true;
+  }
+  if (schema.enum) {
+    geminiSchema.enum = schema.enum;
+  }
+  if (schema.items) {
+    geminiSchema.items = toGeminiSchema(schema.items);
+  }
+  if (schema.properties) {
+    geminiSchema.properties = {};
+    Object.keys(schema.properties).forEach(key => {
+      geminiSchema.properties[key] = toGeminiSchema(schema.properties[key]);
+    });
+    geminiSchema.required = schema.required;
+  }
+
+  return geminiSchema;
+}
+
+// Function to fill a prompt template's {{query}} placeholder
+function renderPrompt(template, text) {
+  return template.replace(/\{\{\s*query\s*\}\}/g, text);
+}
+
+// Function to create empty provider stats
+function createStats(name, model) {
+  return {
+    provider: name,
+    model,
+    calls: 0,
+    failures: 0,
+    timeouts: 0,
+    totalLatencyMs: 0,
+    lastLatencyMs: null,
+    lastError: null,
+    lastErrorAt: null
+  };
+}
+
+// Function to wrap a provider call with timing, failure counting and logging
+async function trackCall(stats, call) {
+  const startTime = Date.now();
+  stats.calls++;
+
+  try {
+    const result = await call();
+    stats.lastLatencyMs = Date.now() - startTime;
+    stats.totalLatencyMs += stats.lastLatencyMs;
+    console.log(`⏱️ LLM ${stats.provider}/${stats.model} responded in ${stats.lastLatencyMs}ms`);
+    return result;
+  } catch (error) {
+    stats.lastLatencyMs = Date.now() - startTime;
+    stats.totalLatencyMs += stats.lastLatencyMs;
+    stats.failures++;
+    if (error.name === 'AbortError') {
+      stats.timeouts++;
+    }
+    stats.lastError = error.message;
+    stats.lastErrorAt = new Date().toISOString();
+    console.error(`❌ LLM ${stats.provider}/${stats.model} failed after ${stats.lastLatencyMs}ms:`, error.message);
+    throw error;
+  }
+}
+
+// Function to POST JSON with a timeout
+async function postJSON(url, headers, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`LLM API error: ${response.status} - ${errorText}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`LLM request timed out after ${timeoutMs}ms`);
+      timeoutError.name = 'AbortError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Gemini provider (generateContent)
+function createGeminiProvider(config) {
+  const stats = createStats('gemini', config.model);
+
+  return {
+    name: 'gemini',
+    model: config.model,
+    stats,
+    async generate({ prompt, responseSchema }) {
+      return trackCall(stats, async () => {
+        const url = `${config.endpoint}/models/${config.model}:generateContent?key=${config.apiKey}`;
+        const generationConfig = {
+          maxOutputTokens: config.maxOutputTokens,
+          temperature: config.temperature
+        };
+        if (responseSchema) {
+          generationConfig.responseMimeType = 'application/json';
+          generationConfig.responseSchema = toGeminiSchema(responseSchema);
+        }
+
+        const data = await postJSON(url, {}, {
+          contents: [{
+            parts: [{
+              text: prompt
+            }]
+          }],
+          generationConfig
+        }, config.timeoutMs);
+
+        const part = data.candidates && data.candidates[0] && data.candidates[0].content &&
+          data.candidates[0].content.parts && data.candidates[0].content.parts[0];
+        if (!part || typeof part.text !== 'string') {
+          console.error('❌ Unexpected Gemini response structure:', JSON.stringify(data, null, 2));
+          throw new Error('Unexpected Gemini response structure');
+        }
+        return part.text.trim();
+      });
+    }
+  };
+}
+
+// OpenAI-compatible provider (/chat/completions - OpenAI, Azure OpenAI proxies, vLLM, Ollama, ...)
+function createOpenAIProvider(config) {
+  const stats = createStats('openai', config.model);
+
+  return {
+    name: 'openai',
+    model: config.model,
+    stats,
+    async generate({ prompt, responseSchema }) {
+      return trackCall(stats, async () => {
+        const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+        const body = {
+          model: config.model,
+          messages: [{ role: 'user', content: prompt }],
+          max_tokens: config.maxOutputTokens,
+          temperature: config.temperature
+        };
+        if (responseSchema) {
+          // Servers without structured outputs usually still support plain JSON mode
+          body.response_format = config.responseFormat === 'json_object'
+            ? { type: 'json_object' }
+            : { type: 'json_schema', json_schema: { name: 'query_understanding', schema: responseSchema, strict: true } };
+        }
+
+        const data = await postJSON(`${config.endpoint}/chat/completions`, headers, body, config.timeoutMs);
+
+        const message = data.choices && data.choices[0] && data.choices[0].message;
+        if (!message || typeof message.content !== 'string') {
+          console.error('❌ Unexpected OpenAI-compatible response structure:', JSON.stringify(data, null, 2));
+          throw new Error('Unexpected OpenAI-compatible response structure');
+        }
+        return message.content.trim();
+      });
+    }
+  };
+}
+
+// Deterministic local stub - no network, corrects a few known typos
+// With a responseSchema it answers with the corrected words as corrected_terms and nulls elsewhere
+function createStubProvider(config) {
+  const stats = createStats('stub', config.model);
+
+  return {
+    name: 'stub',
+    model: config.model,
+    stats,
+    async generate({ text, responseSchema }) {
+      return trackCall(stats, async () => {
+        const words = text
+          .toLowerCase()
+          .split(/\s+/)
+          .filter(Boolean)
+          .map(word => STUB_CORRECTIONS[word] || word);
+
+        if (!responseSchema) {
+          return words.join(' ');
+        }
+
+        const reply = {};
+        Object.keys(responseSchema.properties).forEach(key => {
+          reply[key] = null;
+        });
+        return JSON.stringify({
+          ...reply,
+          is_gemstone_query: true,
+          corrected_terms: words,
+          intent: 'search'
+        });
+      });
+    }
+  };
+}
+
+// Function to create the configured provider (null when preprocessing is disabled)
+function createLLMProvider(config = loadLLMConfig()) {
+  switch (config.provider) {
+    case 'gemini':
+      if (!config.apiKey) {
+        console.log('⚠️ LLM provider "gemini" has no API key, preprocessing disabled');
+        return null;
+      }
+      return createGeminiProvider(config);
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'stub':
+      return createStubProvider(config);
+    case 'none':
+      return null;
+    default:
+      console.error(`❌ Unknown LLM_PROVIDER "${config.provider}", preprocessing disabled`);
+      return null;
+  }
+}
+
+// Function to summarise provider stats for health checks
+function getProviderStats(provider) {
+  if (!provider) {
+    return { provider: 'none' };
+  }
+
+  const { totalLatencyMs, ...stats } = provider.stats;
+  return {
+    ...stats,
+    avgLatencyMs: stats.calls > 0 ? Math.round(totalLatencyMs / stats.calls) : null
+  };
+}
+
+module.exports = {
+  loadLLMConfig,
+  renderPrompt,
+  createLLMProvider,
+  getProviderStats
+};
@@ -0,0 +1,222 @@
+// Schema migrations - numbered up/down migrations in migrations/ (001-initial-schema.js, ...),
+// with the applied versions recorded in schema_version. The services never change the schema
+// themselves; they refuse to start until pending migrations have been applied.
+// Usage: node migrate.js [up [version] | down [count] | status]
+
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// Same settings as index.js
+const MYSQL_HOST = process.env.MYSQLHOST || process.env.MYSQL_HOST || 'localhost';
+const MYSQL_USER = process.env.MYSQLUSER || process.env.MYSQL_USER || 'root';
+const MYSQL_PASSWORD = process.env.MYSQLPASSWORD || process.env.MYSQL_PASSWORD || '';
+const MYSQL_DATABASE = process.env.MYSQLDATABASE || process.env.MYSQL_DATABASE || 'rezagemcollection';
+const MYSQL_PORT = process.env.MYSQLPORT || process.env.MYSQL_PORT || 3306;
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+// Only one process migrates at a time (MySQL named lock)
+const MIGRATION_LOCK_NAME = 'rezagemcollection_schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 60;
+
+// Function to load the migrations, ordered by version
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations have version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+    }
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} must export up() and down()`);
+    }
+  });
+
+  return migrations;
+}
+
+// Function to create the schema_version table if it doesn't exist
+async function ensureSchemaVersionTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Function to get the versions applied so far (none when schema_version doesn't exist yet)
+async function getAppliedVersions(connection) {
+  try {
+    const [rows] = await connection.execute('SELECT version FROM schema_version ORDER BY version');
+    return rows.map(row => row.version);
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Function to compare the database with the migrations on disk
+async function getSchemaStatus(connection) {
+  const migrations = loadMigrations();
+  const applied = await getAppliedVersions(connection);
+  const appliedSet = new Set(applied);
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1] : 0,
+    latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedSet.has(migration.version)).map(migration => migration.file)
+  };
+}
+
+// Function to stop a service from running against an out-of-date schema
+// Throws an error with code SCHEMA_OUTDATED when migrations are pending
+async function assertSchemaUpToDate(connection) {
+  const status = await getSchemaStatus(connection);
+
+  if (status.pending.length > 0) {
+    const error = new Error(`Database schema is out of date (version ${status.currentVersion}, pending: ${status.pending.join(', ')}). Run "npm run migrate".`);
+    error.code = 'SCHEMA_OUTDATED';
+    throw error;
+  }
+
+  if (status.currentVersion > status.latestVersion) {
+    console.warn(`⚠️ Database schema version ${status.currentVersion} is newer than this code expects (${status.latestVersion})`);
+  }
+
+  return status;
+}
+
+// Function to run a migration step while holding the migration lock
+async function withMigrationLock(connection, fn) {
+  const [rows] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+  if (!rows[0] || rows[0].acquired !== 1) {
+    throw new Error('Another process is running migrations');
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+  }
+}
+
+// Function to apply pending migrations, up to and including targetVersion
+// MySQL can't roll back DDL, so a migration that fails part way is left as it was; migrations
+// are written so that running them again finishes the job.
+async function migrateUp(connection, targetVersion = Infinity) {
+  return withMigrationLock(connection, async () => {
+    await ensureSchemaVersionTable(connection);
+    const appliedSet = new Set(await getAppliedVersions(connection));
+    const pending = loadMigrations().filter(migration => !appliedSet.has(migration.version) && migration.version <= targetVersion);
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️ Applying ${migration.file}...`);
+      await migration.up(connection);
+      await connection.execute('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s), schema is at version ${pending[pending.length - 1].version}`);
+    return pending.map(migration => migration.file);
+  });
+}
+
+// Function to roll back the last count applied migrations
+async function migrateDown(connection, count = 1) {
+  return withMigrationLock(connection, async () => {
+    await ensureSchemaVersionTable(connection);
+    const migrations = loadMigrations();
+    const toRevert = (await getAppliedVersions(connection)).reverse().slice(0, count);
+
+    if (toRevert.length === 0) {
+      console.log('✅ No migrations to roll back');
+      return [];
+    }
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = migrations.find(candidate => candidate.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing from ${MIGRATIONS_DIR}`);
+      }
+
+      console.log(`⬇️ Rolling back ${migration.file}...`);
+      await migration.down(connection);
+      await connection.execute('DELETE FROM schema_version WHERE version = ?', [version]);
+      reverted.push(migration.file);
+    }
+
+    console.log(`✅ Rolled back ${reverted.length} migration(s)`);
+    return reverted;
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  getSchemaStatus,
+  assertSchemaUpToDate,
+  migrateUp,
+  migrateDown
+};
+
+// Run directly if called from command line
+if (require.main === module) {
+  const [command = 'up', argument] = process.argv.slice(2);
+  const number = argument === undefined ? null : parseInt(argument, 10);
+
+  (async () => {
+    const connection = await mysql.createConnection({
+      host: MYSQL_HOST,
+      port: MYSQL_PORT,
+      user: MYSQL_USER,
+      password: MYSQL_PASSWORD,
+      database: MYSQL_DATABASE
+    });
+
+    try {
+      if (Number.isNaN(number) || number < 0) {
+        throw new Error(`Invalid number "${argument}"`);
+      }
+
+      if (command === 'up') {
+        await migrateUp(connection, number === null ? Infinity : number);
+      } else if (command === 'down') {
+        await migrateDown(connection, number === null ? 1 : number);
+      } else if (command === 'status') {
+        const status = await getSchemaStatus(connection);
+        console.log(`📊 Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+        console.log(status.pending.length > 0 ? `⏳ Pending: ${status.pending.join(', ')}` : '✅ No pending migrations');
+      } else {
+        throw new Error(`Unknown command "${command}". Usage: node migrate.js [up [version] | down [count] | status]`);
+      }
+    } finally {
+      await connection.end();
+    }
+  })()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
+}
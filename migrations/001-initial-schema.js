@@ -0,0 +1,56 @@
+// Products, their variants and the sync log, as first set up by setup-mysql.sql and index.js
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS products (
+        id VARCHAR(255) PRIMARY KEY,
+        title VARCHAR(500) NOT NULL,
+        description TEXT,
+        tags TEXT,
+        image_url VARCHAR(500),
+        image_alt VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_title (title(100)),
+        INDEX idx_tags (tags(100)),
+        FULLTEXT INDEX idx_search (title, description, tags)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        product_id VARCHAR(255) NOT NULL,
+        title VARCHAR(255),
+        price DECIMAL(10,2),
+        inventory_quantity INT DEFAULT 0,
+        available_for_sale BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_product_id (product_id),
+        INDEX idx_price (price),
+        INDEX idx_available (available_for_sale)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sync_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        sync_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        products_fetched INT DEFAULT 0,
+        products_updated INT DEFAULT 0,
+        variants_fetched INT DEFAULT 0,
+        variants_updated INT DEFAULT 0,
+        status ENUM('success', 'error', 'partial') DEFAULT 'success',
+        error_message TEXT,
+        duration_seconds DECIMAL(10,2)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS sync_log');
+    await connection.execute('DROP TABLE IF EXISTS product_variants');
+    await connection.execute('DROP TABLE IF EXISTS products');
+  }
+};
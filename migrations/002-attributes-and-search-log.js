@@ -0,0 +1,47 @@
+// Gemstone attributes extracted by the sync (gemstone-attributes.js) and the search analytics log
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_attributes (
+        product_id VARCHAR(255) NOT NULL,
+        attribute_type VARCHAR(20) NOT NULL,
+        attribute_value VARCHAR(100) NOT NULL,
+        PRIMARY KEY (product_id, attribute_type, attribute_value),
+        INDEX idx_attribute (attribute_type, attribute_value)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS search_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        channel VARCHAR(20) NOT NULL,
+        session_id VARCHAR(255),
+        raw_text VARCHAR(500) NOT NULL,
+        normalized_text VARCHAR(500) NOT NULL,
+        query_text VARCHAR(500),
+        corrected_text VARCHAR(500),
+        parsed_terms TEXT,
+        fuzzy_matches TEXT,
+        result_count INT NOT NULL DEFAULT 0,
+        top_product_ids TEXT,
+        latency_ms INT,
+        llm_provider VARCHAR(100),
+        llm_source VARCHAR(20),
+        llm_cached BOOLEAN DEFAULT FALSE,
+        catalog_cached BOOLEAN DEFAULT FALSE,
+        backend VARCHAR(20),
+        match_mode VARCHAR(10),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_created_at (created_at),
+        INDEX idx_normalized_text (normalized_text(100)),
+        INDEX idx_result_count (result_count)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS search_log');
+    await connection.execute('DROP TABLE IF EXISTS product_attributes');
+  }
+};
@@ -0,0 +1,45 @@
+// Shopify status/publication, soft deletes, storefront details, image galleries and collections
+const { addColumns, dropColumns } = require('./helpers');
+
+const PRODUCT_COLUMNS = {
+  handle: 'VARCHAR(255)', // Storefront handle: /products/<handle>
+  online_store_url: 'VARCHAR(500)', // Shopify's URL for the product (NULL when not on the online store)
+  vendor: 'VARCHAR(255)',
+  product_type: 'VARCHAR(255)',
+  status: "VARCHAR(20) NOT NULL DEFAULT 'active'", // Shopify status: active, archived or draft
+  published: 'BOOLEAN NOT NULL DEFAULT TRUE', // Published to the online store
+  deleted_at: 'TIMESTAMP NULL DEFAULT NULL' // Set when the product disappears from Shopify (soft delete)
+};
+
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'products', PRODUCT_COLUMNS);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        product_id VARCHAR(255) NOT NULL,
+        position INT NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        alt_text VARCHAR(500),
+        PRIMARY KEY (product_id, position)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS product_collections (
+        product_id VARCHAR(255) NOT NULL,
+        collection_id VARCHAR(255) NOT NULL,
+        handle VARCHAR(255) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        PRIMARY KEY (product_id, collection_id),
+        INDEX idx_collection_handle (handle)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS product_collections');
+    await connection.execute('DROP TABLE IF EXISTS product_images');
+    await dropColumns(connection, 'products', Object.keys(PRODUCT_COLUMNS));
+  }
+};
@@ -0,0 +1,24 @@
+// The full Shopify variant: GID, SKU, barcode, selected options, compare-at price, weight and image
+const { addColumns, dropColumns } = require('./helpers');
+
+const PRODUCT_VARIANT_COLUMNS = {
+  shopify_variant_id: 'VARCHAR(255)', // Shopify variant GID
+  sku: 'VARCHAR(255)',
+  barcode: 'VARCHAR(255)',
+  selected_options: 'TEXT', // JSON, e.g. [{"name":"Size","value":"8mm"},{"name":"Shape","value":"Round"}]
+  compare_at_price: 'DECIMAL(10,2)',
+  weight: 'DECIMAL(10,3)',
+  weight_unit: 'VARCHAR(20)',
+  image_url: 'VARCHAR(500)',
+  image_alt: 'VARCHAR(255)'
+};
+
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'product_variants', PRODUCT_VARIANT_COLUMNS);
+  },
+
+  async down(connection) {
+    await dropColumns(connection, 'product_variants', Object.keys(PRODUCT_VARIANT_COLUMNS));
+  }
+};
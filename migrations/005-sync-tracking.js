@@ -0,0 +1,45 @@
+// Incremental sync watermarks, soft-delete reconciliation and resumable sync checkpoints
+const { addColumns, dropColumns } = require('./helpers');
+
+const SYNC_LOG_COLUMNS = {
+  sync_mode: "ENUM('full', 'incremental') DEFAULT 'full'",
+  watermark_from: 'VARCHAR(32)', // Shopify updated_at the sync started from (incremental only)
+  watermark_to: 'VARCHAR(32)', // Newest Shopify updated_at seen, where the next incremental sync starts
+  products_removed: 'INT DEFAULT 0' // Products soft-deleted because Shopify no longer returned them (full sync only)
+};
+
+const PRODUCT_COLUMNS = {
+  synced_at: 'TIMESTAMP NULL DEFAULT NULL' // Last time a sync or webhook saved the product
+};
+
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'sync_log', SYNC_LOG_COLUMNS);
+    await addColumns(connection, 'products', PRODUCT_COLUMNS);
+
+    // One row: where the running (or interrupted) sync got to, removed when the sync finishes
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sync_checkpoint (
+        id TINYINT PRIMARY KEY,
+        sync_mode ENUM('full', 'incremental') NOT NULL,
+        search_query VARCHAR(255),
+        page_cursor VARCHAR(500),
+        started_at VARCHAR(32) NOT NULL,
+        watermark_from VARCHAR(32),
+        watermark_to VARCHAR(32),
+        pages_done INT DEFAULT 0,
+        products_fetched INT DEFAULT 0,
+        products_updated INT DEFAULT 0,
+        variants_fetched INT DEFAULT 0,
+        variants_updated INT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS sync_checkpoint');
+    await dropColumns(connection, 'products', Object.keys(PRODUCT_COLUMNS));
+    await dropColumns(connection, 'sync_log', Object.keys(SYNC_LOG_COLUMNS));
+  }
+};
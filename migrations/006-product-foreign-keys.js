@@ -0,0 +1,43 @@
+// Foreign keys from the per-product tables to products, which tables created by index.js never had
+// (setup-mysql.sql's tables already have them and are left alone). Rows left behind by products
+// deleted without them are removed first, or the keys can't be added.
+const { findForeignKey } = require('./helpers');
+
+const PRODUCT_TABLES = ['product_variants', 'product_attributes', 'product_images', 'product_collections'];
+
+// Function to name a table's foreign key, so down() can find it again
+function foreignKeyName(table) {
+  return `fk_${table}_product`;
+}
+
+module.exports = {
+  async up(connection) {
+    for (const table of PRODUCT_TABLES) {
+      if (await findForeignKey(connection, table, 'product_id', 'products')) {
+        continue;
+      }
+
+      const [result] = await connection.execute(`
+        DELETE child FROM ${table} child
+        LEFT JOIN products p ON p.id = child.product_id
+        WHERE p.id IS NULL
+      `);
+      if (result.affectedRows > 0) {
+        console.log(`🧹 Removed ${result.affectedRows} ${table} row(s) of products that no longer exist`);
+      }
+
+      await connection.execute(`
+        ALTER TABLE ${table}
+        ADD CONSTRAINT ${foreignKeyName(table)} FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+      `);
+    }
+  },
+
+  async down(connection) {
+    for (const table of PRODUCT_TABLES) {
+      if (await findForeignKey(connection, table, 'product_id', 'products') === foreignKeyName(table)) {
+        await connection.execute(`ALTER TABLE ${table} DROP FOREIGN KEY ${foreignKeyName(table)}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,18 @@
+// Sync runs cancelled from the dashboard are logged as 'cancelled' rather than as failures
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      ALTER TABLE sync_log
+      MODIFY COLUMN status ENUM('success', 'error', 'partial', 'cancelled') DEFAULT 'success'
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute("UPDATE sync_log SET status = 'error' WHERE status = 'cancelled'");
+    await connection.execute(`
+      ALTER TABLE sync_log
+      MODIFY COLUMN status ENUM('success', 'error', 'partial') DEFAULT 'success'
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+// Scheduled syncs run by sync-server.js, and what started each sync_log entry
+const { addColumns, dropColumns } = require('./helpers');
+
+const SYNC_LOG_COLUMNS = {
+  triggered_by: "ENUM('manual', 'schedule', 'webhook') NOT NULL DEFAULT 'manual'",
+  schedule_id: 'INT NULL' // sync_schedules row that started the run (schedule only)
+};
+
+module.exports = {
+  async up(connection) {
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sync_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        cron_expression VARCHAR(100) NOT NULL,
+        sync_mode ENUM('full', 'incremental') NOT NULL DEFAULT 'incremental',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        last_run_at TIMESTAMP NULL DEFAULT NULL,
+        last_run_result ENUM('started', 'skipped', 'error') NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // The usual setup, switched off until someone turns it on from the dashboard
+    const [rows] = await connection.execute('SELECT COUNT(*) as count FROM sync_schedules');
+    if (rows[0].count === 0) {
+      await connection.execute(`
+        INSERT INTO sync_schedules (name, cron_expression, sync_mode, enabled) VALUES
+          ('Nightly full sync', '0 2 * * *', 'full', FALSE),
+          ('Incremental sync', '*/15 * * * *', 'incremental', FALSE)
+      `);
+    }
+
+    await addColumns(connection, 'sync_log', SYNC_LOG_COLUMNS);
+  },
+
+  async down(connection) {
+    await dropColumns(connection, 'sync_log', Object.keys(SYNC_LOG_COLUMNS));
+    await connection.execute('DROP TABLE IF EXISTS sync_schedules');
+  }
+};
@@ -0,0 +1,35 @@
+// Per-product change records for each sync run, shown in the dashboard's sync history
+const { addColumns, dropColumns, hasIndex } = require('./helpers');
+
+const SYNC_LOG_COLUMNS = {
+  run_id: 'CHAR(36) NULL' // Links the entry to its sync_changes rows
+};
+
+module.exports = {
+  async up(connection) {
+    await addColumns(connection, 'sync_log', SYNC_LOG_COLUMNS);
+    if (!(await hasIndex(connection, 'sync_log', 'idx_run_id'))) {
+      await connection.execute('ALTER TABLE sync_log ADD INDEX idx_run_id (run_id)');
+    }
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sync_changes (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        run_id CHAR(36) NOT NULL,
+        product_id VARCHAR(255) NOT NULL,
+        product_title VARCHAR(500),
+        change_type ENUM('added', 'changed', 'restored', 'removed') NOT NULL,
+        changed_fields TEXT, -- JSON, e.g. {"price":[{"variant":"8mm","from":"5.00","to":"6.00"}]} (changed only)
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_run_id (run_id, id),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(connection) {
+    await connection.execute('DROP TABLE IF EXISTS sync_changes');
+    // Dropping the column drops its index too
+    await dropColumns(connection, 'sync_log', Object.keys(SYNC_LOG_COLUMNS));
+  }
+};
@@ -0,0 +1,52 @@
+// Helpers for migrations - adding or dropping something that is already there (or already gone)
+// is skipped, so migrations also apply cleanly to databases the services set up themselves
+// before schema_version existed.
+
+// Function to check whether a table has a column
+async function hasColumn(connection, table, column) {
+  const [rows] = await connection.execute(`SHOW COLUMNS FROM ${table} LIKE ?`, [column]);
+  return rows.length > 0;
+}
+
+// Function to add any of the given columns a table is missing
+async function addColumns(connection, table, columns) {
+  for (const [column, definition] of Object.entries(columns)) {
+    if (!(await hasColumn(connection, table, column))) {
+      await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ Added ${table}.${column}`);
+    }
+  }
+}
+
+// Function to drop any of the given columns a table still has
+async function dropColumns(connection, table, columns) {
+  for (const column of columns) {
+    if (await hasColumn(connection, table, column)) {
+      await connection.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      console.log(`🗑️ Dropped ${table}.${column}`);
+    }
+  }
+}
+
+// Function to check whether a table has an index with the given name
+async function hasIndex(connection, table, index) {
+  const [rows] = await connection.execute(`SHOW INDEX FROM ${table} WHERE Key_name = ?`, [index]);
+  return rows.length > 0;
+}
+
+// Function to find the name of a foreign key from a table's column to another table (null when there is none)
+async function findForeignKey(connection, table, column, referencedTable) {
+  const [rows] = await connection.execute(`
+    SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME = ?
+  `, [table, column, referencedTable]);
+  return rows.length > 0 ? rows[0].CONSTRAINT_NAME : null;
+}
+
+module.exports = {
+  hasColumn,
+  addColumns,
+  dropColumns,
+  hasIndex,
+  findForeignKey
+};
@@ -0,0 +1,263 @@
+// Mock Shopify Admin GraphQL server for trying the sync without a real shop
+// Answers the queries shopify-to-mysql-sync.js sends, charges each one against a leaky bucket
+// the way Shopify does (extensions.cost.throttleStatus, THROTTLED errors) and can fail at random.
+// Usage: node mock-shopify-server.js
+//   then: SHOPIFY_GRAPHQL_URL=http://localhost:4010/graphql.json SHOPIFY_TOKEN=test npm run sync
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_SHOPIFY_PORT, 10) || 4010;
+const PRODUCT_COUNT = parseInt(process.env.MOCK_PRODUCTS, 10) || 200;
+const BUCKET_SIZE = parseInt(process.env.MOCK_BUCKET_SIZE, 10) || 1000;
+const RESTORE_RATE = parseFloat(process.env.MOCK_RESTORE_RATE) || 50; // Points per second
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE) || 0; // 0-1: share of requests answered with a 502 or a dropped connection
+
+const STONES = ['Amethyst', 'Lapis Lazuli', 'Rose Quartz', 'Labradorite', 'Turquoise', 'Moonstone',
+  'Garnet', 'Citrine', 'Aventurine', 'Carnelian', 'Hematite', 'Jasper', 'Agate', 'Malachite'];
+const SHAPES = ['Round', 'Rondelle', 'Chip', 'Nugget', 'Oval', 'Coin', 'Teardrop', 'Cube'];
+const SIZES = [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 18, 20];
+const COLLECTIONS = ['Faceted Beads', 'Smooth Beads', 'Chakra Stones', 'Wholesale Strands'];
+
+// Deterministic pseudo-random numbers so every run serves the same catalog
+let seed = 7;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Function to build the catalog, oldest update first (the order of sortKey: UPDATED_AT)
+function generateCatalog(count) {
+  const catalog = [];
+  const newest = Date.now() - 60 * 60 * 1000;
+
+  for (let i = 1; i <= count; i++) {
+    const stone = pick(STONES);
+    const shape = pick(SHAPES);
+    const title = `${stone} ${shape} Beads`;
+    const handle = `${slugify(title)}-${i}`;
+    // Every seventh product has more variants than fit on a products page
+    const sizes = i % 7 === 0 ? SIZES : SIZES.slice(0, 1 + Math.floor(random() * 3));
+
+    catalog.push({
+      id: `gid://shopify/Product/${i}`,
+      title,
+      handle,
+      onlineStoreUrl: `https://mock-gems.example/products/${handle}`,
+      vendor: 'Mock Gems',
+      productType: 'Beads',
+      descriptionHtml: `<p>Natural ${stone.toLowerCase()} ${shape.toLowerCase()} beads, full 15 inch strand.</p>`,
+      tags: [stone.toLowerCase(), shape.toLowerCase(), 'beads'],
+      status: i % 25 === 0 ? 'DRAFT' : 'ACTIVE',
+      publishedAt: i % 25 === 0 ? null : new Date(newest - count * 60000).toISOString(),
+      updatedAt: new Date(newest - (count - i) * 60000).toISOString(),
+      images: [1, 2].map(n => ({ url: `https://cdn.mock-gems.example/${handle}-${n}.jpg`, altText: `${title} ${n}` })),
+      collections: [pick(COLLECTIONS)].map(name => ({ id: `gid://shopify/Collection/${COLLECTIONS.indexOf(name) + 1}`, handle: slugify(name), title: name })),
+      variants: sizes.map((size, index) => ({
+        id: `gid://shopify/ProductVariant/${i * 100 + index}`,
+        title: `${size}mm`,
+        sku: `MG-${i}-${size}`,
+        barcode: null,
+        price: (4 + size * 0.75).toFixed(2),
+        compareAtPrice: index === 0 && i % 5 === 0 ? (6 + size).toFixed(2) : null,
+        inventoryQuantity: Math.floor(random() * 40),
+        availableForSale: true,
+        inventoryItem: { measurement: { weight: { value: size * 2, unit: 'GRAMS' } } },
+        selectedOptions: [{ name: 'Size', value: `${size}mm` }],
+        image: null,
+        inventoryItemId: `gid://shopify/InventoryItem/${i * 100 + index}`
+      }))
+    });
+  }
+
+  return catalog;
+}
+
+const catalog = generateCatalog(PRODUCT_COUNT);
+
+// Leaky bucket: requests need their requested cost available, are charged their actual cost,
+// and the bucket refills at RESTORE_RATE points per second
+let available = BUCKET_SIZE;
+let lastRefill = Date.now();
+
+function refillBucket() {
+  const now = Date.now();
+  available = Math.min(BUCKET_SIZE, available + ((now - lastRefill) / 1000) * RESTORE_RATE);
+  lastRefill = now;
+}
+
+function throttleStatus() {
+  return { maximumAvailable: BUCKET_SIZE, currentlyAvailable: Math.floor(available), restoreRate: RESTORE_RATE };
+}
+
+const encodeCursor = (value) => Buffer.from(String(value)).toString('base64');
+const decodeCursor = (cursor) => parseInt(Buffer.from(cursor, 'base64').toString(), 10);
+
+// Function to return one page of a list as a GraphQL connection
+function toConnection(items, first, after, mapNode = item => item) {
+  const start = after ? decodeCursor(after) + 1 : 0;
+  const page = items.slice(start, start + first);
+
+  return {
+    edges: page.map(item => ({ node: mapNode(item) })),
+    pageInfo: {
+      hasNextPage: start + first < items.length,
+      endCursor: page.length > 0 ? encodeCursor(start + page.length - 1) : after || null
+    }
+  };
+}
+
+// Function to read the page sizes written into the query, e.g. images(first: 10)
+function getNestedFirst(query) {
+  const sizes = {};
+  for (const match of query.matchAll(/(images|collections|variants)\(first: (\d+)\)/g)) {
+    sizes[match[1]] = parseInt(match[2], 10);
+  }
+  return sizes;
+}
+
+function toProductNode(product, nestedFirst) {
+  const node = { ...product };
+  for (const connectionName of ['images', 'collections', 'variants']) {
+    node[connectionName] = toConnection(product[connectionName], nestedFirst[connectionName] || 10, null);
+  }
+  return node;
+}
+
+// Function to count the objects a product node returns (one point each, as Shopify charges)
+function productNodeCost(node) {
+  return 1 + node.images.edges.length + node.collections.edges.length + node.variants.edges.length;
+}
+
+// Function to find the products matching a search query - only updated_at:>'...' is understood
+function filterCatalog(searchQuery) {
+  const match = searchQuery && searchQuery.match(/updated_at:>'?([^'\s]+)'?/);
+  if (!match) {
+    return catalog;
+  }
+  const since = new Date(match[1]).getTime();
+  return catalog.filter(product => new Date(product.updatedAt).getTime() > since);
+}
+
+// Function to run one query: returns { requestedCost, run } so the cost is checked before running it
+function planQuery(query, variables) {
+  const operation = (query.match(/query\s+(\w+)/) || [])[1];
+  const nestedFirst = getNestedFirst(query);
+  const nestedTotal = Object.values(nestedFirst).reduce((total, first) => total + first, 0);
+
+  switch (operation) {
+    case 'getProducts':
+      return {
+        requestedCost: 2 + variables.first * (1 + nestedTotal),
+        run: () => {
+          const products = toConnection(filterCatalog(variables.query), variables.first, variables.after, product => toProductNode(product, nestedFirst));
+          const actualCost = 2 + products.edges.reduce((total, edge) => total + productNodeCost(edge.node), 0);
+          return { data: { products }, actualCost };
+        }
+      };
+    case 'getProduct':
+      return {
+        requestedCost: 1 + nestedTotal,
+        run: () => {
+          const product = catalog.find(item => item.id === variables.id);
+          const node = product ? toProductNode(product, nestedFirst) : null;
+          return { data: { product: node }, actualCost: node ? productNodeCost(node) : 1 };
+        }
+      };
+    case 'getProductConnection': {
+      const connectionName = (query.match(/(images|collections|variants)\(first: \$first/) || [])[1];
+      return {
+        requestedCost: 1 + variables.first,
+        run: () => {
+          const product = catalog.find(item => item.id === variables.id);
+          if (!product || !connectionName) {
+            return { data: { product: null }, actualCost: 1 };
+          }
+          const connection = toConnection(product[connectionName], variables.first, variables.after);
+          return { data: { product: { [connectionName]: connection } }, actualCost: 1 + connection.edges.length };
+        }
+      };
+    }
+    case 'getInventoryItemProduct':
+      return {
+        requestedCost: 3,
+        run: () => {
+          const product = catalog.find(item => item.variants.some(variant => variant.inventoryItemId === variables.id));
+          return { data: { inventoryItem: product ? { variant: { product: { id: product.id } } } : null }, actualCost: 3 };
+        }
+      };
+    default:
+      return null;
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Function to answer one GraphQL request
+function handleGraphQL(body, res) {
+  let request;
+  try {
+    request = JSON.parse(body);
+  } catch (error) {
+    return sendJson(res, 400, { errors: [{ message: 'Invalid JSON' }] });
+  }
+
+  const plan = planQuery(request.query || '', request.variables || {});
+  if (!plan) {
+    return sendJson(res, 200, { errors: [{ message: 'Unknown operation', extensions: { code: 'UNKNOWN_OPERATION' } }] });
+  }
+
+  refillBucket();
+
+  if (plan.requestedCost > available) {
+    console.log(`🚦 Throttled: needs ${plan.requestedCost} points, ${Math.floor(available)} available`);
+    return sendJson(res, 200, {
+      errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+      extensions: { cost: { requestedQueryCost: plan.requestedCost, actualQueryCost: null, throttleStatus: throttleStatus() } }
+    });
+  }
+
+  const { data, actualCost } = plan.run();
+  available -= actualCost;
+
+  sendJson(res, 200, {
+    data,
+    extensions: { cost: { requestedQueryCost: plan.requestedCost, actualQueryCost: actualCost, throttleStatus: throttleStatus() } }
+  });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    return sendJson(res, 404, { errors: [{ message: 'Not found' }] });
+  }
+
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    if (random() < FAILURE_RATE) {
+      if (random() < 0.5) {
+        console.log('💥 Simulated failure: 502');
+        return sendJson(res, 502, { errors: [{ message: 'Bad Gateway' }] });
+      }
+      console.log('💥 Simulated failure: connection dropped');
+      return req.socket.destroy();
+    }
+
+    handleGraphQL(body, res);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock Shopify serving ${catalog.length} products on http://localhost:${PORT}/graphql.json`);
+  console.log(`📊 Bucket: ${BUCKET_SIZE} points, restoring ${RESTORE_RATE}/s, failure rate: ${FAILURE_RATE}`);
+});
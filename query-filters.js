@@ -0,0 +1,232 @@
+// Price, stock, sort and collection filters parsed from natural language
+// "amethyst under $15", "in stock lapis only", "cheapest turquoise strand", "beads from the summer collection"
+// Product type filters come from the search API only.
+
+// Price amounts: "$15", "15 dollars", "15.50" - never sizes like "8mm"
+const AMOUNT = '\\$?\\s?(\\d+(?:\\.\\d{1,2})?)(?!\\s*(?:mm|millimeters?|\\d|\\.\\d))(?:\\s*(?:dollars?|usd|bucks))?';
+
+const PRICE_PATTERNS = [
+  // "between $10 and $20", "$10 - $20", "from $10 to $20"
+  { pattern: new RegExp(`\\b(?:between|from)\\s+${AMOUNT}\\s+(?:and|to|-)\\s+${AMOUNT}`, 'i'), type: 'range' },
+  { pattern: new RegExp(`\\$\\s?(\\d+(?:\\.\\d{1,2})?)\\s*(?:-|to)\\s*\\$?\\s?(\\d+(?:\\.\\d{1,2})?)(?!\\s*(?:mm|millimeters?))`, 'i'), type: 'range' },
+  // "under $15", "less than 15 dollars", "up to $15", "$15 or less"
+  { pattern: new RegExp(`\\b(?:under|below|less than|cheaper than|up to|max(?:imum)?|no more than|at most)\\s+${AMOUNT}`, 'i'), type: 'max' },
+  { pattern: new RegExp(`${AMOUNT}\\s+(?:or less|or under|or below|max)\\b`, 'i'), type: 'max' },
+  // "over $10", "more than $10", "at least $10", "$10 or more"
+  { pattern: new RegExp(`\\b(?:over|above|more than|at least|min(?:imum)?|starting at)\\s+${AMOUNT}`, 'i'), type: 'min' },
+  { pattern: new RegExp(`${AMOUNT}\\s+(?:or more|and up|or above|plus)\\b`, 'i'), type: 'min' }
+];
+
+const STOCK_PATTERN = /\b(?:only\s+)?(?:in[\s-]stock|available(?:\s+now)?|on hand)(?:\s+only)?\b/i;
+
+// "in the summer sale collection", "from our new arrivals collection"
+const COLLECTION_PATTERN = /\b(?:in|from)\s+(?:the|our)\s+([a-z0-9][a-z0-9&' -]*?)\s+collection\b/i;
+
+const SORT_PATTERNS = [
+  { pattern: /\b(?:cheapest|least expensive|lowest[\s-]priced?|lowest price|most affordable|budget)\b/i, sort: 'price_asc' },
+  { pattern: /\b(?:most expensive|priciest|highest[\s-]priced?|highest price|most premium)\b/i, sort: 'price_desc' }
+];
+
+// Function to format a price for filter summaries
+function formatPrice(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+// Function to normalize a collection or product type name for comparison ("Summer Sale" → "summer-sale")
+function normalizeFilterName(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Function to pull price, stock, sort and collection filters out of a query
+// Returns the filters, a human readable summary and the text with the filter phrases removed
+function extractQueryFilters(text) {
+  const filters = {
+    priceMin: null,
+    priceMax: null,
+    inStockOnly: false,
+    sort: null,
+    collection: null,
+    productType: null
+  };
+  let remainingText = String(text || '');
+
+  const collectionMatch = remainingText.match(COLLECTION_PATTERN);
+  if (collectionMatch) {
+    filters.collection = collectionMatch[1].trim();
+    remainingText = remainingText.replace(COLLECTION_PATTERN, ' ');
+  }
+
+  for (const { pattern, type } of PRICE_PATTERNS) {
+    const match = remainingText.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    if (type === 'range') {
+      const low = parseFloat(match[1]);
+      const high = parseFloat(match[2]);
+      filters.priceMin = Math.min(low, high);
+      filters.priceMax = Math.max(low, high);
+    } else if (type === 'max') {
+      filters.priceMax = parseFloat(match[1]);
+    } else {
+      filters.priceMin = parseFloat(match[1]);
+    }
+    remainingText = remainingText.replace(pattern, ' ');
+  }
+
+  if (STOCK_PATTERN.test(remainingText)) {
+    filters.inStockOnly = true;
+    remainingText = remainingText.replace(STOCK_PATTERN, ' ').replace(/\bonly\b/i, ' ');
+  }
+
+  for (const { pattern, sort } of SORT_PATTERNS) {
+    if (pattern.test(remainingText)) {
+      filters.sort = sort;
+      remainingText = remainingText.replace(pattern, ' ');
+      break;
+    }
+  }
+
+  remainingText = remainingText.replace(/\s+/g, ' ').trim();
+
+  return {
+    filters,
+    appliedFilters: describeQueryFilters(filters),
+    remainingText
+  };
+}
+
+// Function to describe active filters for customers ("under $15.00", "in stock only")
+function describeQueryFilters(filters) {
+  const applied = [];
+
+  if (filters.priceMin !== null && filters.priceMax !== null) {
+    applied.push(`between ${formatPrice(filters.priceMin)} and ${formatPrice(filters.priceMax)}`);
+  } else if (filters.priceMax !== null) {
+    applied.push(`under ${formatPrice(filters.priceMax)}`);
+  } else if (filters.priceMin !== null) {
+    applied.push(`over ${formatPrice(filters.priceMin)}`);
+  }
+
+  if (filters.inStockOnly) {
+    applied.push('in stock only');
+  }
+
+  if (filters.collection) {
+    applied.push(`in the "${filters.collection}" collection`);
+  }
+
+  if (filters.productType) {
+    applied.push(`product type "${filters.productType}"`);
+  }
+
+  if (filters.sort === 'price_asc') {
+    applied.push('cheapest first');
+  } else if (filters.sort === 'price_desc') {
+    applied.push('most expensive first');
+  }
+
+  return applied;
+}
+
+// Function to check whether any filter is active
+function hasQueryFilters(filters) {
+  return filters.priceMin !== null || filters.priceMax !== null || filters.inStockOnly || filters.sort !== null ||
+    Boolean(filters.collection) || Boolean(filters.productType);
+}
+
+// Function to check a single variant against the price and stock filters
+function variantMatchesFilters(variant, filters) {
+  const price = variant.price !== null && variant.price !== undefined ? parseFloat(variant.price) : null;
+
+  if (filters.priceMin !== null && (price === null || price < filters.priceMin)) {
+    return false;
+  }
+  if (filters.priceMax !== null && (price === null || price > filters.priceMax)) {
+    return false;
+  }
+  if (filters.inStockOnly && !(variant.inventory_quantity > 0 && variant.available_for_sale)) {
+    return false;
+  }
+  return true;
+}
+
+// Function to get the lowest (or highest) variant price of a product
+function productPrice(product, highest) {
+  const prices = (product.variants || [])
+    .map(variant => parseFloat(variant.price))
+    .filter(price => !Number.isNaN(price));
+
+  if (prices.length === 0) {
+    return null;
+  }
+  return highest ? Math.max(...prices) : Math.min(...prices);
+}
+
+// Function to check a product against the collection and product type filters
+// A collection matches on its handle or title ("summer-sale" or "Summer Sale")
+function productMatchesCatalogFilters(product, filters) {
+  if (filters.collection) {
+    const wanted = normalizeFilterName(filters.collection);
+    const inCollection = (product.collections || []).some(collection => {
+      return normalizeFilterName(collection.handle) === wanted || normalizeFilterName(collection.title) === wanted;
+    });
+    if (!inCollection) {
+      return false;
+    }
+  }
+  if (filters.productType && normalizeFilterName(product.productType) !== normalizeFilterName(filters.productType)) {
+    return false;
+  }
+  return true;
+}
+
+// Function to apply collection/product type filters, price/stock filters and the price sort to products
+// Products keep only the variants that pass; products with none left are dropped
+function applyQueryFilters(products, filters) {
+  if (!hasQueryFilters(filters)) {
+    return products;
+  }
+
+  const filterVariants = filters.priceMin !== null || filters.priceMax !== null || filters.inStockOnly;
+  let filtered = products;
+
+  if (filters.collection || filters.productType) {
+    filtered = filtered.filter(product => productMatchesCatalogFilters(product, filters));
+  }
+
+  if (filterVariants) {
+    const candidates = filtered;
+    filtered = [];
+    candidates.forEach(product => {
+      const variants = (product.variants || []).filter(variant => variantMatchesFilters(variant, filters));
+      if (variants.length > 0) {
+        filtered.push({ ...product, variants });
+      }
+    });
+  }
+
+  if (filters.sort) {
+    const highest = filters.sort === 'price_desc';
+    // Array sort is stable, so equal prices keep their relevance order
+    filtered = filtered.slice().sort((a, b) => {
+      const priceA = productPrice(a, highest);
+      const priceB = productPrice(b, highest);
+      if (priceA === null || priceB === null) {
+        return (priceA === null) - (priceB === null);
+      }
+      return highest ? priceB - priceA : priceA - priceB;
+    });
+  }
+
+  console.log(`💲 Query filters: ${products.length} → ${filtered.length} products`, filters);
+  return filtered;
+}
+
+module.exports = {
+  extractQueryFilters,
+  describeQueryFilters,
+  hasQueryFilters,
+  applyQueryFilters
+};
@@ -0,0 +1,197 @@
+// Query parser - phrases, negation and unit normalization
+// "\"rose quartz\" 6 mm beads without sterling silver" → phrases ["rose quartz"], text "rose quartz 6mm beads",
+// excluded ["sterling silver"]. Every significant term left over is required unless search has to relax.
+
+const { normalizeStoneNames, getStoneNames } = require('./gemstone-lexicon');
+
+// Words that never narrow a search on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'buy', 'can', 'do', 'for', 'from', 'gem', 'gems', 'gemstone',
+  'gemstones', 'get', 'give', 'got', 'have', 'i', 'im', 'in', 'is', 'it', 'like', 'looking', 'me',
+  'my', 'need', 'of', 'on', 'or', 'our', 'please', 'sell', 'show', 'some', 'stone', 'stones', 'that',
+  'the', 'them', 'these', 'those', 'to', 'want', 'what', 'which', 'with', 'you', 'your'
+]);
+
+// Sizes written with a space or a long unit: "6 mm", "6 millimeters" → "6mm"
+const UNIT_PATTERN = /\b(\d+(?:\.\d+)?)\s*(?:mm|millimet(?:er|re)s?)\b/gi;
+const QUOTED_PATTERN = /"([^"]+)"/g;
+// "no dyed", "not dyed", "without silver", "excluding pendants", "non-dyed", "-silver"
+const NEGATION_PATTERN = /(^|\s)(?:((?:no|not|without|excluding|except)\s+)|non[\s-]|-)(?=[a-z0-9"])/gi;
+// Words that end a negated phrase: "without silver and gold" only excludes "silver"
+const NEGATION_BOUNDARY_WORDS = new Set([
+  'and', 'or', 'but', 'nor', 'with', 'in', 'for', 'no', 'not', 'without', 'excluding', 'except'
+]);
+
+// Function to check whether a word is worth requiring in a search
+function isSignificantWord(word) {
+  return word.length > 2 && !STOP_WORDS.has(word);
+}
+
+// Function to normalize sizes so "6 mm" and "6mm" are the same term
+function normalizeUnits(text) {
+  return String(text || '').replace(UNIT_PATTERN, (match, size) => `${parseFloat(size)}mm`);
+}
+
+// Function to reduce a word to its singular so "pendants" and "pendant" are the same exclusion
+function singularizeWord(word) {
+  if (word.length > 4 && word.endsWith('ies')) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.length > 4 && /(?:ss|x|ch|sh)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// Function to normalize a negated phrase like the searched text: stone names canonical,
+// other words singular ("pendants" → "pendant"); words of stone names are left alone
+function normalizeNegatedTerm(text) {
+  const term = normalizeStoneNames(text);
+  const stoneWords = new Set(getStoneNames().flatMap(name => name.split(' ')));
+  return term
+    .split(' ')
+    .map(word => stoneWords.has(word) ? word : singularizeWord(word))
+    .join(' ');
+}
+
+// Function to read the negated term at the start of text
+// A quoted phrase is taken whole. After a word like "without" the negation runs to the end of
+// the text, a comma, a conjunction, another negation or a size ("lapis without sterling silver"
+// excludes "sterling silver"); after "non-" or "-" only a stone name or a single word is negated.
+function readNegatedTerm(text, wholePhrase) {
+  const quoted = text.match(/^"([^"]+)"/);
+  if (quoted) {
+    return { term: normalizeNegatedTerm(quoted[1]), length: quoted[0].length };
+  }
+
+  const words = text.match(wholePhrase
+    ? /^[a-z0-9][a-z0-9'-]*(?:\s+[a-z0-9][a-z0-9'-]*)*/i
+    : /^[a-z0-9][a-z0-9'-]*(?:\s+[a-z0-9][a-z0-9'-]*){0,2}/i);
+  if (!words) {
+    return null;
+  }
+
+  let tokens = Array.from(words[0].matchAll(/\S+/g));
+  if (wholePhrase) {
+    const end = tokens.findIndex((token, index) => index > 0 &&
+      (NEGATION_BOUNDARY_WORDS.has(token[0].toLowerCase()) || /\d/.test(token[0])));
+    tokens = end === -1 ? tokens : tokens.slice(0, end);
+  } else {
+    const stoneNames = getStoneNames();
+    const stoneCount = [3, 2].find(count => count <= tokens.length &&
+      stoneNames.includes(normalizeStoneNames(tokens.slice(0, count).map(token => token[0]).join(' '))));
+    tokens = tokens.slice(0, stoneCount || 1);
+  }
+
+  // Filler around the phrase ("without any silver") isn't part of what's excluded
+  const lastToken = tokens[tokens.length - 1];
+  const significant = tokens.map(token => token[0].toLowerCase());
+  while (significant.length > 0 && STOP_WORDS.has(significant[0])) {
+    significant.shift();
+  }
+  while (significant.length > 0 && STOP_WORDS.has(significant[significant.length - 1])) {
+    significant.pop();
+  }
+
+  return {
+    term: significant.length > 0 ? normalizeNegatedTerm(significant.join(' ')) : '',
+    length: lastToken.index + lastToken[0].length
+  };
+}
+
+// Function to parse a query into positive text, quoted phrases and excluded terms
+function parseQuery(text) {
+  let remaining = normalizeUnits(text).replace(/[“”]/g, '"');
+  const excluded = [];
+
+  // Negations first, so "without \"sterling silver\"" doesn't count as a wanted phrase
+  let negation;
+  let output = '';
+  let lastIndex = 0;
+  NEGATION_PATTERN.lastIndex = 0;
+  while ((negation = NEGATION_PATTERN.exec(remaining)) !== null) {
+    const start = negation.index + negation[0].length;
+    const negated = readNegatedTerm(remaining.slice(start), Boolean(negation[2]));
+    if (!negated) {
+      continue;
+    }
+
+    if (negated.term && !excluded.includes(negated.term)) {
+      excluded.push(negated.term);
+    }
+    output += `${remaining.slice(lastIndex, negation.index)}${negation[1]}`;
+    lastIndex = start + negated.length;
+    NEGATION_PATTERN.lastIndex = lastIndex;
+  }
+  remaining = output + remaining.slice(lastIndex);
+
+  // Quoted phrases stay together
+  const phrases = [];
+  remaining = remaining.replace(QUOTED_PATTERN, (match, phrase) => {
+    const normalized = normalizeStoneNames(phrase);
+    if (normalized && !phrases.includes(normalized)) {
+      phrases.push(normalized);
+    }
+    return ` ${phrase} `;
+  });
+
+  return {
+    text: remaining.replace(/"/g, ' ').replace(/\s+/g, ' ').trim(),
+    phrases,
+    excluded
+  };
+}
+
+// Function to turn words back into search terms, keeping quoted phrases together
+// and dropping stop words. Phrases only survive if the LLM kept their words in order.
+function groupSearchTerms(words, phrases) {
+  const terms = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const phrase = phrases.find(candidate => {
+      const phraseWords = candidate.split(' ');
+      return phraseWords.length > 1 && phraseWords.every((phraseWord, offset) => words[i + offset] === phraseWord);
+    });
+
+    if (phrase) {
+      terms.push(phrase);
+      i += phrase.split(' ').length - 1;
+    } else if (isSignificantWord(words[i]) && !terms.includes(words[i])) {
+      terms.push(words[i]);
+    }
+  }
+
+  return terms;
+}
+
+// Function to escape a term for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to build a matcher for one word of an excluded term in its singular or plural form
+function createWordFormPattern(word) {
+  if (/[^aeiou]y$/.test(word)) {
+    return `${escapeRegExp(word.slice(0, -1))}(?:y|ies)`;
+  }
+  return `${escapeRegExp(word)}(?:s|es)?`;
+}
+
+// Function to build a whole-word matcher for an excluded term ("dyed" must not hit "undyed")
+// Each word matches singular or plural, so excluding "pendant" also drops "pendants"
+function createExclusionPattern(term) {
+  const words = term.split(' ').map(createWordFormPattern).join('\\s+');
+  return new RegExp(`(^|[^a-z0-9])${words}(?![a-z0-9])`);
+}
+
+module.exports = {
+  STOP_WORDS,
+  isSignificantWord,
+  normalizeUnits,
+  parseQuery,
+  groupSearchTerms,
+  createExclusionPattern
+};
@@ -0,0 +1,143 @@
+// Structured query understanding from the LLM step
+// The model returns a JSON object (validated here) instead of free text, so extra
+// commentary can never leak into the search words. Anything malformed falls back
+// to heuristics over the customer's own text.
+
+const INTENTS = ['search', 'more', 'details', 'refine', 'other'];
+
+// JSON Schema for the model's reply (providers translate it to their schema dialect)
+const QUERY_UNDERSTANDING_SCHEMA = {
+  type: 'object',
+  properties: {
+    is_gemstone_query: { type: 'boolean' },
+    corrected_terms: { type: 'array', items: { type: 'string' } },
+    stone: { type: ['string', 'null'] },
+    size_mm: { type: ['number', 'null'] },
+    shape: { type: ['string', 'null'] },
+    color: { type: ['string', 'null'] },
+    price_min: { type: ['number', 'null'] },
+    price_max: { type: ['number', 'null'] },
+    intent: { type: 'string', enum: INTENTS }
+  },
+  required: ['is_gemstone_query', 'corrected_terms', 'stone', 'size_mm', 'shape', 'color', 'price_min', 'price_max', 'intent'],
+  additionalProperties: false
+};
+
+const DEFAULT_QUERY_PROMPT = `You are a gemstone expert for a gemstone bead and jewelry supply store. Analyze this customer search query.
+
+Customer query: "{{query}}"
+
+Return a JSON object with:
+- is_gemstone_query: true if the query is about gemstones, beads or jewelry
+- corrected_terms: the search keywords with typos in gemstone names, sizes and jewelry terms corrected
+- stone: the gemstone name, or null
+- size_mm: the bead size in millimetres as a number, or null
+- shape: the bead shape (round, rondelle, chip, nugget, oval, ...), or null
+- color: the colour, or null
+- price_min, price_max: price limits in dollars, or null
+- intent: "search", "more" (wants more results), "details" (asks about one product), "refine" (narrows earlier results) or "other"
+
+Examples:
+- "8mm amethist beads" → {"is_gemstone_query": true, "corrected_terms": ["8mm", "amethyst", "beads"], "stone": "amethyst", "size_mm": 8, "shape": null, "color": null, "price_min": null, "price_max": null, "intent": "search"}
+- "labradoright rondelles under $20" → {"is_gemstone_query": true, "corrected_terms": ["labradorite", "rondelles"], "stone": "labradorite", "size_mm": null, "shape": "rondelle", "color": null, "price_min": null, "price_max": 20, "intent": "search"}
+- "hello how are you" → {"is_gemstone_query": false, "corrected_terms": [], "stone": null, "size_mm": null, "shape": null, "color": null, "price_min": null, "price_max": null, "intent": "other"}
+
+Return ONLY the JSON object.`;
+
+// Function to check an optional string field
+function isOptionalString(value) {
+  return value === null || value === undefined || typeof value === 'string';
+}
+
+// Function to check an optional non-negative number field
+function isOptionalNumber(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+// Function to turn an optional string into a trimmed lowercase value or null
+function cleanString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const cleaned = value.trim().toLowerCase();
+  return cleaned ? cleaned : null;
+}
+
+// Function to parse and validate the model's reply
+// Returns the normalized understanding, or null when the reply is malformed
+function parseQueryUnderstanding(reply) {
+  if (typeof reply !== 'string') {
+    return null;
+  }
+
+  // Some models wrap JSON in a ```json fence even in JSON mode
+  const json = reply.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return null;
+  }
+
+  const valid = typeof raw.is_gemstone_query === 'boolean' &&
+    Array.isArray(raw.corrected_terms) &&
+    raw.corrected_terms.every(term => typeof term === 'string') &&
+    isOptionalString(raw.stone) &&
+    isOptionalNumber(raw.size_mm) &&
+    isOptionalString(raw.shape) &&
+    isOptionalString(raw.color) &&
+    isOptionalNumber(raw.price_min) &&
+    isOptionalNumber(raw.price_max) &&
+    (raw.intent === undefined || INTENTS.includes(raw.intent));
+
+  if (!valid) {
+    return null;
+  }
+
+  return {
+    source: 'llm',
+    isGemstoneQuery: raw.is_gemstone_query,
+    correctedTerms: raw.corrected_terms
+      .map(term => term.trim().toLowerCase())
+      .filter(Boolean),
+    stone: cleanString(raw.stone),
+    sizeMm: raw.size_mm > 0 ? raw.size_mm : null,
+    shape: cleanString(raw.shape),
+    color: cleanString(raw.color),
+    priceMin: raw.price_min !== undefined ? raw.price_min : null,
+    priceMax: raw.price_max !== undefined ? raw.price_max : null,
+    intent: raw.intent || 'search'
+  };
+}
+
+// Function to build an understanding from the customer's own text (no LLM, or a malformed reply)
+function heuristicUnderstanding(text) {
+  return {
+    source: 'heuristic',
+    isGemstoneQuery: true,
+    correctedTerms: String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9.$'\-\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean),
+    stone: null,
+    sizeMm: null,
+    shape: null,
+    color: null,
+    priceMin: null,
+    priceMax: null,
+    intent: 'search'
+  };
+}
+
+module.exports = {
+  QUERY_UNDERSTANDING_SCHEMA,
+  DEFAULT_QUERY_PROMPT,
+  parseQueryUnderstanding,
+  heuristicUnderstanding
+};
@@ -0,0 +1,153 @@
+// In-memory search index for the cached product catalog
+// Token postings answer "which products contain this text" without scanning every
+// product, and character bigrams narrow typo candidates before running Levenshtein.
+
+const INDEXED_FIELDS = ['title', 'tags', 'description'];
+const NGRAM_SIZE = 2;
+
+// Function to split a field the same way the fuzzy matcher does
+function tokenize(text) {
+  return text ? text.split(' ').filter(Boolean) : [];
+}
+
+// Function to count the character n-grams of a string
+function countNgrams(text) {
+  const counts = new Map();
+  for (let i = 0; i <= text.length - NGRAM_SIZE; i++) {
+    const gram = text.substring(i, i + NGRAM_SIZE);
+    counts.set(gram, (counts.get(gram) || 0) + 1);
+  }
+  return counts;
+}
+
+// Function to build the index from products with lowercase searchable fields
+// getFields(product) must return { title, tags, description } in lowercase
+function buildSearchIndex(products, getFields) {
+  const startTime = Date.now();
+  const tokens = new Map(); // token → [{ productId, field }]
+  const ngrams = new Map(); // n-gram → Map(token → count)
+  const tokensByLength = new Map(); // token length → [token]
+
+  products.forEach(product => {
+    const fields = getFields(product);
+
+    INDEXED_FIELDS.forEach(field => {
+      tokenize(fields[field]).forEach(token => {
+        if (!tokens.has(token)) {
+          tokens.set(token, []);
+
+          countNgrams(token).forEach((count, gram) => {
+            if (!ngrams.has(gram)) {
+              ngrams.set(gram, new Map());
+            }
+            ngrams.get(gram).set(token, count);
+          });
+
+          if (!tokensByLength.has(token.length)) {
+            tokensByLength.set(token.length, []);
+          }
+          tokensByLength.get(token.length).push(token);
+        }
+
+        // Repeated words in the same field only need one posting
+        const postings = tokens.get(token);
+        const last = postings[postings.length - 1];
+        if (!last || last.productId !== product.id || last.field !== field) {
+          postings.push({ productId: product.id, field });
+        }
+      });
+    });
+  });
+
+  const index = { tokens, ngrams, tokensByLength, productCount: products.length };
+  console.log(`🗂️ Built search index: ${products.length} products, ${tokens.size} tokens, ${ngrams.size} n-grams in ${Date.now() - startTime}ms`);
+  return index;
+}
+
+// Function to list the indexed tokens that contain a piece of text
+function findTokensContaining(index, text) {
+  if (text.length < NGRAM_SIZE) {
+    return Array.from(index.tokens.keys()).filter(token => token.includes(text));
+  }
+
+  // Start from the rarest n-gram of the text, then verify the full substring
+  let candidates = null;
+  countNgrams(text).forEach((count, gram) => {
+    const tokensWithGram = index.ngrams.get(gram);
+    if (!tokensWithGram) {
+      candidates = new Map();
+    } else if (!candidates || tokensWithGram.size < candidates.size) {
+      candidates = tokensWithGram;
+    }
+  });
+
+  if (!candidates) {
+    return [];
+  }
+
+  return Array.from(candidates.keys()).filter(token => token.includes(text));
+}
+
+// Function to list indexed tokens whose similarity to the word may reach the threshold
+// Uses the q-gram lemma: strings within edit distance k share at least
+// max(|a|, |b|) - q + 1 - k*q n-grams, so anything sharing fewer can be skipped.
+// Tokens sharing no n-gram at all are only skipped when that bound is positive.
+function findFuzzyCandidates(index, word, threshold, minTokenLength) {
+  const wordGrams = countNgrams(word);
+  const shared = new Map();
+
+  wordGrams.forEach((wordCount, gram) => {
+    const tokensWithGram = index.ngrams.get(gram);
+    if (!tokensWithGram) {
+      return;
+    }
+    tokensWithGram.forEach((tokenCount, token) => {
+      shared.set(token, (shared.get(token) || 0) + Math.min(wordCount, tokenCount));
+    });
+  });
+
+  const maxDistanceFor = length => Math.floor(length * (1 - threshold) + 1e-9);
+  const maxLength = Math.floor(word.length / threshold + 1e-9);
+  const requiredSharedFor = length => {
+    const longest = Math.max(word.length, length);
+    const maxDistance = maxDistanceFor(longest);
+    if (Math.abs(word.length - length) > maxDistance) {
+      return Infinity;
+    }
+    return longest - NGRAM_SIZE + 1 - maxDistance * NGRAM_SIZE;
+  };
+
+  // Tokens sharing at least one n-gram
+  const candidates = [];
+  shared.forEach((count, token) => {
+    if (token.length >= minTokenLength && token.length <= maxLength && count >= requiredSharedFor(token.length)) {
+      candidates.push(token);
+    }
+  });
+
+  // Lengths where the bound allows zero shared n-grams (short words only)
+  for (let length = minTokenLength; length <= maxLength; length++) {
+    if (requiredSharedFor(length) <= 0) {
+      (index.tokensByLength.get(length) || []).forEach(token => {
+        if (!shared.has(token)) {
+          candidates.push(token);
+        }
+      });
+    }
+  }
+
+  return candidates;
+}
+
+// Function to get the postings (product, field) of a token
+function getPostings(index, token) {
+  return index.tokens.get(token) || [];
+}
+
+module.exports = {
+  INDEXED_FIELDS,
+  buildSearchIndex,
+  findTokensContaining,
+  findFuzzyCandidates,
+  getPostings
+};
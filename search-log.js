@@ -0,0 +1,217 @@
+// Search analytics - every customer search is recorded in the search_log table
+// Powers the sync server's reports: top queries, zero-result queries, frequent
+// corrections and the stones customers ask for that we don't stock.
+
+const SEARCH_LOG_ENABLED = process.env.SEARCH_LOG_ENABLED !== 'false';
+const TOP_PRODUCT_LIMIT = 5; // Product IDs stored per search
+const FUZZY_MATCH_LIMIT = 10; // Fuzzy/substring matches stored per search
+const MISSING_STONES_SCAN_LIMIT = 5000; // Zero-result searches scanned for the missing stones report
+
+// Function to normalize query text for grouping ("Amethyst  Beads" and "amethyst beads" are one query)
+function normalizeQueryText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Function to cut text down to a column's length
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? value.substring(0, length) : value;
+}
+
+// Function to collect the fuzzy and substring matches that put products in the results
+function collectFuzzyMatches(products) {
+  const fuzzyMatches = [];
+  const seen = new Set();
+
+  products.forEach(product => {
+    ((product.match && product.match.matches) || []).forEach(match => {
+      const key = `${match.word}→${match.term}`;
+      if (match.type !== 'exact' && !seen.has(key) && fuzzyMatches.length < FUZZY_MATCH_LIMIT) {
+        seen.add(key);
+        fuzzyMatches.push({ word: match.word, term: match.term, type: match.type, similarity: Number(match.similarity.toFixed(3)) });
+      }
+    });
+  });
+
+  return fuzzyMatches;
+}
+
+// Function to build a search_log row from a search result
+function buildSearchLogEntry({ channel, sessionId, searchResult, latencyMs }) {
+  const products = searchResult.products || [];
+
+  return {
+    channel,
+    sessionId: sessionId || null,
+    rawText: truncate(searchResult.originalText, 500),
+    normalizedText: truncate(normalizeQueryText(searchResult.originalText), 500),
+    queryText: truncate(normalizeQueryText(searchResult.queryText), 500),
+    correctedText: truncate(searchResult.correctedText, 500),
+    parsedTerms: {
+      searchWords: searchResult.searchWords,
+      attributes: searchResult.attributes,
+      fuzzyWords: searchResult.fuzzyWords,
+      excludedTerms: searchResult.excludedTerms,
+      filters: searchResult.filters
+    },
+    fuzzyMatches: collectFuzzyMatches(products),
+    resultCount: products.length,
+    topProductIds: products.slice(0, TOP_PRODUCT_LIMIT).map(product => product.id),
+    latencyMs: Math.round(latencyMs),
+    llmProvider: searchResult.understanding ? searchResult.understanding.provider : null,
+    llmSource: searchResult.understanding ? searchResult.understanding.source : null,
+    llmCached: Boolean(searchResult.understanding && searchResult.understanding.cached),
+    catalogCached: Boolean(searchResult.catalogCached),
+    backend: searchResult.backend,
+    matchMode: searchResult.matchMode
+  };
+}
+
+// Function to record a search - failures are logged, never thrown, so searches don't break
+async function recordSearch(pool, entry) {
+  if (!SEARCH_LOG_ENABLED || !pool) {
+    return;
+  }
+
+  try {
+    await pool.execute(`
+      INSERT INTO search_log (
+        channel, session_id, raw_text, normalized_text, query_text, corrected_text,
+        parsed_terms, fuzzy_matches, result_count, top_product_ids, latency_ms,
+        llm_provider, llm_source, llm_cached, catalog_cached, backend, match_mode
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.channel,
+      entry.sessionId,
+      entry.rawText,
+      entry.normalizedText,
+      entry.queryText,
+      entry.correctedText,
+      JSON.stringify(entry.parsedTerms),
+      JSON.stringify(entry.fuzzyMatches),
+      entry.resultCount,
+      JSON.stringify(entry.topProductIds),
+      entry.latencyMs,
+      entry.llmProvider,
+      entry.llmSource,
+      entry.llmCached,
+      entry.catalogCached,
+      entry.backend,
+      entry.matchMode
+    ]);
+  } catch (error) {
+    console.error('❌ Failed to record search:', error.message);
+  }
+}
+
+// Function to read a report's days/limit options from query parameters
+function parseReportOptions(query) {
+  const days = parseInt(query.days, 10);
+  const limit = parseInt(query.limit, 10);
+  return {
+    days: days > 0 ? Math.min(days, 365) : 30,
+    limit: limit > 0 ? Math.min(limit, 100) : 20
+  };
+}
+
+// Function to get the most frequent queries
+async function getTopQueries(connection, { days, limit }) {
+  const [rows] = await connection.execute(`
+    SELECT
+      normalized_text AS query,
+      COUNT(*) AS searches,
+      ROUND(AVG(result_count), 1) AS avg_results,
+      SUM(result_count = 0) AS zero_result_searches,
+      ROUND(AVG(latency_ms)) AS avg_latency_ms,
+      MAX(created_at) AS last_searched
+    FROM search_log
+    WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    GROUP BY normalized_text
+    ORDER BY searches DESC, last_searched DESC
+    LIMIT ${limit}
+  `, [days]);
+  return rows;
+}
+
+// Function to get the most frequent queries that found nothing
+async function getZeroResultQueries(connection, { days, limit }) {
+  const [rows] = await connection.execute(`
+    SELECT
+      normalized_text AS query,
+      COUNT(*) AS searches,
+      MAX(corrected_text) AS corrected_text,
+      MAX(created_at) AS last_searched
+    FROM search_log
+    WHERE result_count = 0
+      AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    GROUP BY normalized_text
+    ORDER BY searches DESC, last_searched DESC
+    LIMIT ${limit}
+  `, [days]);
+  return rows;
+}
+
+// Function to get the most frequent corrections made by the lexicon and LLM
+async function getFrequentCorrections(connection, { days, limit }) {
+  const [rows] = await connection.execute(`
+    SELECT
+      query_text AS original,
+      corrected_text AS corrected,
+      COUNT(*) AS searches,
+      SUM(llm_source = 'llm') AS llm_corrections,
+      MAX(created_at) AS last_searched
+    FROM search_log
+    WHERE corrected_text <> query_text
+      AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    GROUP BY query_text, corrected_text
+    ORDER BY searches DESC, last_searched DESC
+    LIMIT ${limit}
+  `, [days]);
+  return rows;
+}
+
+// Function to get the stones (and other words) customers searched for without finding anything
+// Parsed terms are stored as JSON text, so they are counted here rather than in SQL
+async function getMissingStones(connection, { days, limit }) {
+  const [rows] = await connection.execute(`
+    SELECT parsed_terms
+    FROM search_log
+    WHERE result_count = 0
+      AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+    ORDER BY created_at DESC
+    LIMIT ${MISSING_STONES_SCAN_LIMIT}
+  `, [days]);
+
+  const counts = new Map();
+  const count = (term, type) => {
+    const key = `${type}:${term}`;
+    const entry = counts.get(key) || { term, type, searches: 0 };
+    entry.searches++;
+    counts.set(key, entry);
+  };
+
+  rows.forEach(row => {
+    let parsedTerms;
+    try {
+      parsedTerms = JSON.parse(row.parsed_terms || '{}');
+    } catch (error) {
+      return;
+    }
+    ((parsedTerms.attributes && parsedTerms.attributes.stone) || []).forEach(stone => count(stone, 'stone'));
+    (parsedTerms.fuzzyWords || []).forEach(word => count(word, 'word'));
+  });
+
+  return Array.from(counts.values())
+    .sort((a, b) => b.searches - a.searches || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+module.exports = {
+  buildSearchLogEntry,
+  recordSearch,
+  parseReportOptions,
+  getTopQueries,
+  getZeroResultQueries,
+  getFrequentCorrections,
+  getMissingStones
+};
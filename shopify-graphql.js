@@ -0,0 +1,189 @@
+// Shopify Admin GraphQL client - cost-based throttling and retries
+// Every response reports what the query cost and how full the shop's leaky bucket is
+// (extensions.cost.throttleStatus). Before each request the client waits until the bucket has
+// room for the query's last known cost; THROTTLED errors wait for the bucket to refill; network
+// errors, timeouts, 429s and 5xx responses are retried with exponential backoff.
+// SHOPIFY_GRAPHQL_URL points the client somewhere else, e.g. mock-shopify-server.js.
+
+const http = require('http');
+const https = require('https');
+require('dotenv').config();
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2026-07'; // Shopify supports each version for a year
+const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
+const SHOPIFY_TOKEN = process.env.SHOPIFY_TOKEN;
+const SHOPIFY_GRAPHQL_URL = process.env.SHOPIFY_GRAPHQL_URL || `https://${SHOPIFY_SHOP}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+
+const MAX_RETRIES = parseNonNegativeInt(process.env.SHOPIFY_MAX_RETRIES, 5);
+const REQUEST_TIMEOUT_MS = parseNonNegativeInt(process.env.SHOPIFY_TIMEOUT_MS, 30000);
+const RETRY_BASE_DELAY_MS = 1000; // Doubles on every retry
+const RETRY_MAX_DELAY_MS = 30000;
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED']);
+
+// Latest bucket state reported by Shopify, and the requested cost of each query seen so far
+let throttleStatus = null;
+const queryCosts = new Map();
+
+// Function to parse a non-negative integer setting
+function parseNonNegativeInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? defaultValue : parsed;
+}
+
+// Function to wait
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to estimate the points available now - the bucket refills at restoreRate points per second
+function getAvailablePoints() {
+  const elapsedSeconds = (Date.now() - throttleStatus.updatedAt) / 1000;
+  return Math.min(throttleStatus.maximumAvailable, throttleStatus.currentlyAvailable + elapsedSeconds * throttleStatus.restoreRate);
+}
+
+// Function to wait until the bucket has room for a query's expected cost
+// Returns false when there was nothing to wait for
+async function waitForBudget(cost) {
+  if (!throttleStatus || !cost || !throttleStatus.restoreRate) {
+    return false;
+  }
+
+  const missing = Math.min(cost, throttleStatus.maximumAvailable) - getAvailablePoints();
+  if (missing <= 0) {
+    return false;
+  }
+
+  const waitMs = Math.ceil((missing / throttleStatus.restoreRate) * 1000);
+  console.log(`⏳ Shopify rate limit: waiting ${(waitMs / 1000).toFixed(1)}s for ${Math.ceil(missing)} more points`);
+  await sleep(waitMs);
+  return true;
+}
+
+// Function to wait before a retry: exponential backoff with jitter, at least minDelayMs
+async function backoff(attempt, reason, minDelayMs = 0) {
+  const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  const delayMs = Math.max(minDelayMs, exponential + Math.floor(Math.random() * RETRY_BASE_DELAY_MS / 2));
+  console.log(`🔁 Shopify request failed (${reason}), retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}/${MAX_RETRIES})`);
+  await sleep(delayMs);
+}
+
+// Function to read a Retry-After header (seconds) as milliseconds
+function getRetryAfterMs(headers) {
+  const seconds = parseFloat(headers && headers['retry-after']);
+  return Number.isNaN(seconds) ? 0 : seconds * 1000;
+}
+
+// Function to send one GraphQL request; resolves with the raw HTTP response
+function postGraphQL(payload) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(SHOPIFY_GRAPHQL_URL);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: `${url.pathname}${url.search}`,
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'X-Shopify-Access-Token': SHOPIFY_TOKEN,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => {
+      const error = new Error(`Shopify request timed out after ${REQUEST_TIMEOUT_MS}ms`);
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Function to check whether GraphQL errors are only Shopify saying the bucket is empty
+function isThrottled(errors) {
+  return Array.isArray(errors) && errors.length > 0 &&
+    errors.every(error => error.extensions && error.extensions.code === 'THROTTLED');
+}
+
+// Run a GraphQL query against the Shopify Admin API and return its data
+async function shopifyGraphQL(query, variables) {
+  const payload = JSON.stringify({ query, variables });
+  let attempt = 0;
+
+  while (true) {
+    await waitForBudget(queryCosts.get(query));
+
+    let response;
+    try {
+      response = await postGraphQL(payload);
+    } catch (error) {
+      if (RETRYABLE_NETWORK_ERRORS.has(error.code) && attempt < MAX_RETRIES) {
+        await backoff(++attempt, error.code);
+        continue;
+      }
+      throw error;
+    }
+
+    if (response.statusCode === 429 || response.statusCode >= 500) {
+      if (attempt < MAX_RETRIES) {
+        await backoff(++attempt, `HTTP ${response.statusCode}`, getRetryAfterMs(response.headers));
+        continue;
+      }
+      throw new Error(`Shopify request failed: HTTP ${response.statusCode} after ${MAX_RETRIES} retries`);
+    }
+
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      // A cut-off body is a network problem; anything else is not worth repeating
+      if (response.statusCode < 400 && attempt < MAX_RETRIES) {
+        await backoff(++attempt, 'incomplete response');
+        continue;
+      }
+      throw new Error(`Invalid response from Shopify (HTTP ${response.statusCode})`);
+    }
+
+    const cost = body.extensions && body.extensions.cost;
+    if (cost) {
+      queryCosts.set(query, cost.requestedQueryCost);
+      if (cost.throttleStatus) {
+        throttleStatus = { ...cost.throttleStatus, updatedAt: Date.now() };
+      }
+    }
+
+    if (body.errors) {
+      if (isThrottled(body.errors) && attempt < MAX_RETRIES) {
+        attempt++;
+        const waited = cost ? await waitForBudget(cost.requestedQueryCost) : false;
+        if (!waited) {
+          await backoff(attempt, 'throttled');
+        }
+        continue;
+      }
+
+      console.error('GraphQL errors:', body.errors);
+      throw new Error('GraphQL query failed: ' + JSON.stringify(body.errors));
+    }
+
+    if (response.statusCode >= 400) {
+      throw new Error(`Shopify request failed: HTTP ${response.statusCode}`);
+    }
+
+    return body.data;
+  }
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  shopifyGraphQL
+};
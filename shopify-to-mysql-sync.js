@@ -1,214 +1,495 @@
+const fs = require('fs');
+const path = require('path');
 const mysql = require('mysql2/promise');
-const https = require('https');
+const { shopifyGraphQL } = require('./shopify-graphql');
+const { assertSchemaUpToDate } = require('./migrate');
+const { extractProductAttributes, attributesToRows } = require('./gemstone-attributes');
+const {
+  createRunId,
+  loadProductSnapshots,
+  diffProduct,
+  recordChanges,
+  pruneSyncChanges
+} = require('./sync-history');
 require('dotenv').config();
 
 // Configuration
 const SHOPIFY_SHOP = process.env.SHOPIFY_SHOP;
 const SHOPIFY_TOKEN = process.env.SHOPIFY_TOKEN;
+const SHOPIFY_GRAPHQL_URL = process.env.SHOPIFY_GRAPHQL_URL; // Overrides the shop's API URL (e.g. a mock server)
 const MYSQL_HOST = process.env.MYSQL_HOST || 'localhost';
 const MYSQL_USER = process.env.MYSQL_USER || 'root';
 const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD || '';
 const MYSQL_DATABASE = process.env.MYSQL_DATABASE || 'rezagemcollection';
 
-// MySQL connection pool
-let connectionPool;
+// Search service to notify when the catalog changes
+const SEARCH_SERVICE_URL = (process.env.SEARCH_SERVICE_URL || '').replace(/\/+$/, '');
+const CACHE_INVALIDATE_TOKEN = process.env.CACHE_INVALIDATE_TOKEN;
 
-// Initialize MySQL connection
-async function initMySQL() {
-  try {
-    connectionPool = mysql.createPool({
-      host: MYSQL_HOST,
-      user: MYSQL_USER,
-      password: MYSQL_PASSWORD,
-      database: MYSQL_DATABASE,
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0,
-      acquireTimeout: 60000,
-      timeout: 60000
-    });
+// Incremental syncs re-fetch a little before the watermark so products saved mid-sync aren't missed
+const SYNC_WATERMARK_OVERLAP_SECONDS = 60;
+
+// Products soft-deleted per UPDATE when reconciling a full sync
+const REMOVE_BATCH_SIZE = 500;
+
+// An interrupted sync resumes from its last saved page unless its checkpoint is older than this
+const SYNC_CHECKPOINT_MAX_AGE_HOURS = 24;
+
+// GraphQL page sizes - kept small enough that a page stays under Shopify's query cost limit.
+// Products with more variants/images/collections than fit on a products page get the rest
+// fetched separately.
+const PRODUCTS_PAGE_SIZE = 20;
+const NESTED_PER_PRODUCT = 10;
+const NESTED_PAGE_SIZE = 100;
 
+// Create the MySQL connection pool for a sync run that wasn't given one
+async function createMySQLPool() {
+  const pool = mysql.createPool({
+    host: MYSQL_HOST,
+    user: MYSQL_USER,
+    password: MYSQL_PASSWORD,
+    database: MYSQL_DATABASE,
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+  });
+  
+  try {
     // Test connection
-    const connection = await connectionPool.getConnection();
+    const connection = await pool.getConnection();
     console.log('✅ MySQL connected successfully');
     connection.release();
-    
-    return true;
+    return pool;
   } catch (error) {
-    console.error('❌ MySQL connection failed:', error.message);
-    return false;
+    await pool.end();
+    throw new Error(`MySQL connection failed: ${error.message}`);
   }
 }
 
-// Fetch all products from Shopify using GraphQL
-async function fetchAllProductsFromShopify() {
-  console.log('🔄 Fetching products from Shopify...');
+// Make sure the database has every migration applied (migrate.js creates and changes the tables)
+async function checkSchema(pool) {
+  const connection = await pool.getConnection();
+  
+  try {
+    await assertSchemaUpToDate(connection);
+  } finally {
+    connection.release();
+  }
+}
+
+// Get the watermark (latest Shopify updatedAt) of the last successful sync
+async function getLastSyncWatermark(pool) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [rows] = await connection.execute(`
+      SELECT watermark_to FROM sync_log 
+      WHERE status = 'success' AND watermark_to IS NOT NULL 
+      ORDER BY sync_date DESC, id DESC 
+      LIMIT 1
+    `);
+    return rows.length > 0 ? rows[0].watermark_to : null;
+  } finally {
+    connection.release();
+  }
+}
+
+// Load the checkpoint of an interrupted sync (null when there is none or it is too old to trust)
+async function loadSyncCheckpoint(pool) {
+  const [rows] = await pool.execute('SELECT * FROM sync_checkpoint WHERE id = 1');
+  if (rows.length === 0) {
+    return null;
+  }
+  
+  const checkpoint = rows[0];
+  const ageHours = (Date.now() - new Date(checkpoint.updated_at).getTime()) / (60 * 60 * 1000);
+  if (!(ageHours <= SYNC_CHECKPOINT_MAX_AGE_HOURS)) {
+    console.log(`🗑️ Discarding sync checkpoint from ${checkpoint.updated_at} (older than ${SYNC_CHECKPOINT_MAX_AGE_HOURS}h)`);
+    await clearSyncCheckpoint(pool);
+    return null;
+  }
+  
+  return checkpoint;
+}
+
+// Save how far the current sync got, after each page is in MySQL
+async function saveSyncCheckpoint(pool, checkpoint) {
+  await pool.execute(`
+    INSERT INTO sync_checkpoint (
+      id, sync_mode, search_query, page_cursor, started_at, watermark_from, watermark_to,
+      pages_done, products_fetched, products_updated, variants_fetched, variants_updated
+    )
+    VALUES (1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE 
+      sync_mode = VALUES(sync_mode),
+      search_query = VALUES(search_query),
+      page_cursor = VALUES(page_cursor),
+      started_at = VALUES(started_at),
+      watermark_from = VALUES(watermark_from),
+      watermark_to = VALUES(watermark_to),
+      pages_done = VALUES(pages_done),
+      products_fetched = VALUES(products_fetched),
+      products_updated = VALUES(products_updated),
+      variants_fetched = VALUES(variants_fetched),
+      variants_updated = VALUES(variants_updated),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    checkpoint.mode,
+    checkpoint.searchQuery,
+    checkpoint.cursor,
+    checkpoint.startedAt.toISOString(),
+    checkpoint.watermarkFrom,
+    checkpoint.watermarkTo,
+    checkpoint.pagesDone,
+    checkpoint.productsFetched,
+    checkpoint.productsUpdated,
+    checkpoint.variantsFetched,
+    checkpoint.variantsUpdated
+  ]);
+}
+
+// Forget the checkpoint once a sync has finished (or is restarted)
+async function clearSyncCheckpoint(pool) {
+  await pool.execute('DELETE FROM sync_checkpoint WHERE id = 1');
+}
+
+// Build the Shopify search query for products updated since a watermark
+function buildUpdatedSinceQuery(watermark) {
+  const since = new Date(new Date(watermark).getTime() - SYNC_WATERMARK_OVERLAP_SECONDS * 1000);
+  return `updated_at:>'${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}'`;
+}
+
+// Get the newest updatedAt of the fetched products (falls back to the previous watermark)
+function getNewWatermark(products, previousWatermark) {
+  let newest = previousWatermark ? new Date(previousWatermark).getTime() : null;
   
-  let allProducts = [];
+  products.forEach(product => {
+    const updatedAt = product.updatedAt ? new Date(product.updatedAt).getTime() : NaN;
+    if (!Number.isNaN(updatedAt) && (newest === null || updatedAt > newest)) {
+      newest = updatedAt;
+    }
+  });
+  
+  return newest === null ? null : new Date(newest).toISOString();
+}
+
+// Variant fields fetched from Shopify (one page of a variants connection)
+const VARIANT_FIELDS = `
+  edges {
+    node {
+      id
+      title
+      sku
+      barcode
+      price
+      compareAtPrice
+      inventoryQuantity
+      availableForSale
+      inventoryItem {
+        measurement {
+          weight {
+            value
+            unit
+          }
+        }
+      }
+      selectedOptions {
+        name
+        value
+      }
+      image {
+        url
+        altText
+      }
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+// Image fields fetched from Shopify (one page of an images connection)
+const IMAGE_FIELDS = `
+  edges {
+    node {
+      url
+      altText
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+// Collection fields fetched from Shopify (one page of a collections connection)
+const COLLECTION_FIELDS = `
+  edges {
+    node {
+      id
+      handle
+      title
+    }
+  }
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+// Product connections that may need more than one page
+const NESTED_CONNECTIONS = {
+  variants: VARIANT_FIELDS,
+  images: IMAGE_FIELDS,
+  collections: COLLECTION_FIELDS
+};
+
+// Product fields fetched from Shopify - shared by full/incremental syncs and webhooks
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  onlineStoreUrl
+  vendor
+  productType
+  descriptionHtml
+  tags
+  status
+  publishedAt
+  updatedAt
+  images(first: ${NESTED_PER_PRODUCT}) {
+    ${IMAGE_FIELDS}
+  }
+  collections(first: ${NESTED_PER_PRODUCT}) {
+    ${COLLECTION_FIELDS}
+  }
+  variants(first: ${NESTED_PER_PRODUCT}) {
+    ${VARIANT_FIELDS}
+  }
+`;
+
+// Map a Shopify GraphQL product node to the shape we save in MySQL
+function mapProductNode(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    handle: node.handle || null,
+    onlineStoreUrl: node.onlineStoreUrl || null,
+    vendor: node.vendor || null,
+    productType: node.productType || null,
+    description: node.descriptionHtml,
+    tags: node.tags,
+    status: node.status ? node.status.toLowerCase() : 'active',
+    published: Boolean(node.publishedAt),
+    updatedAt: node.updatedAt,
+    image: node.images.edges.length > 0 ? node.images.edges[0].node.url : null,
+    imageAlt: node.images.edges.length > 0 ? node.images.edges[0].node.altText : null,
+    images: node.images.edges.map(imageEdge => ({ url: imageEdge.node.url, alt: imageEdge.node.altText || null })),
+    collections: node.collections.edges.map(collectionEdge => ({
+      id: collectionEdge.node.id,
+      handle: collectionEdge.node.handle,
+      title: collectionEdge.node.title
+    })),
+    variants: node.variants.edges.map(variantEdge => mapVariantNode(variantEdge.node))
+  };
+}
+
+// Map a Shopify GraphQL variant node to the shape we save in MySQL
+function mapVariantNode(node) {
+  // Weight lives on the inventory item since API 2024-04; unit is GRAMS, KILOGRAMS, OUNCES or POUNDS
+  const measurement = node.inventoryItem ? node.inventoryItem.measurement : null;
+  const weight = measurement ? measurement.weight : null;
+
+  return {
+    id: node.id,
+    title: node.title,
+    sku: node.sku || null,
+    barcode: node.barcode || null,
+    price: node.price,
+    compare_at_price: node.compareAtPrice || null,
+    inventory_quantity: node.inventoryQuantity,
+    available_for_sale: node.availableForSale,
+    options: (node.selectedOptions || []).map(option => ({ name: option.name, value: option.value })),
+    weight: weight && weight.value !== undefined ? weight.value : null,
+    weight_unit: weight && weight.unit ? weight.unit : null,
+    image: node.image ? node.image.url : null,
+    image_alt: node.image ? node.image.altText : null
+  };
+}
+
+// Fetch the edges of a product connection (variants, images, collections) after its first page
+async function fetchRemainingEdges(productId, connectionName, cursor) {
+  const edges = [];
+  let after = cursor;
   let hasNextPage = true;
-  let cursor = null;
-  let pageCount = 0;
   
   while (hasNextPage) {
-    const { products, nextCursor, hasMore } = await fetchProductsPage(cursor);
-    allProducts = allProducts.concat(products);
-    pageCount++;
+    const data = await shopifyGraphQL(`
+      query getProductConnection($id: ID!, $first: Int!, $after: String) {
+        product(id: $id) {
+          ${connectionName}(first: $first, after: $after) {
+            ${NESTED_CONNECTIONS[connectionName]}
+          }
+        }
+      }
+    `, { id: productId, first: NESTED_PAGE_SIZE, after });
     
-    console.log(`📄 Fetched page ${pageCount}: ${products.length} products, total: ${allProducts.length}`);
+    if (!data.product) {
+      break;
+    }
     
-    if (hasMore) {
-      cursor = nextCursor;
-    } else {
-      hasNextPage = false;
+    const connection = data.product[connectionName];
+    edges.push(...connection.edges);
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+  }
+  
+  return edges;
+}
+
+// Map a product node, first fetching any variants, images or collections beyond the first page
+async function mapCompleteProductNode(node) {
+  for (const connectionName of Object.keys(NESTED_CONNECTIONS)) {
+    const pageInfo = node[connectionName].pageInfo;
+    if (pageInfo && pageInfo.hasNextPage) {
+      const remaining = await fetchRemainingEdges(node.id, connectionName, pageInfo.endCursor);
+      console.log(`📑 ${node.title}: fetched ${remaining.length} more ${connectionName}`);
+      node = { ...node, [connectionName]: { ...node[connectionName], edges: node[connectionName].edges.concat(remaining) } };
     }
   }
   
-  console.log(`✅ Total products fetched: ${allProducts.length}`);
-  return allProducts;
+  return mapProductNode(node);
 }
 
 // Fetch a single page of products
-async function fetchProductsPage(cursor = null) {
-  return new Promise((resolve, reject) => {
-    const graphqlQuery = {
-      query: `
-        query getProducts($first: Int!, $after: String) {
-          products(first: $first, after: $after) {
-            edges {
-              node {
-                id
-                title
-                descriptionHtml
-                tags
-                images(first: 1) {
-                  edges {
-                    node {
-                      url
-                      altText
-                    }
-                  }
-                }
-                variants(first: 10) {
-                  edges {
-                    node {
-                      title
-                      price
-                      inventoryQuantity
-                      availableForSale
-                    }
-                  }
-                }
-              }
-            }
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
+async function fetchProductsPage(cursor = null, searchQuery = null) {
+  const data = await shopifyGraphQL(`
+    query getProducts($first: Int!, $after: String, $query: String) {
+      products(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+        edges {
+          node {
+            ${PRODUCT_FIELDS}
           }
         }
-      `,
-      variables: {
-        first: 250,
-        after: cursor
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
       }
-    };
+    }
+  `, {
+    first: PRODUCTS_PAGE_SIZE,
+    after: cursor,
+    query: searchQuery
+  });
 
-    const postData = JSON.stringify(graphqlQuery);
+  const pageInfo = data.products.pageInfo;
+  const products = [];
+  for (const edge of data.products.edges) {
+    products.push(await mapCompleteProductNode(edge.node));
+  }
+  
+  return {
+    products,
+    nextCursor: pageInfo.endCursor,
+    hasMore: pageInfo.hasNextPage
+  };
+}
 
-    const options = {
-      hostname: SHOPIFY_SHOP,
-      port: 443,
-      path: '/admin/api/2023-10/graphql.json',
-      method: 'POST',
-      headers: {
-        'X-Shopify-Access-Token': SHOPIFY_TOKEN,
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+// Fetch a single product by its GraphQL ID (null when it no longer exists)
+async function fetchProductById(productId) {
+  const data = await shopifyGraphQL(`
+    query getProduct($id: ID!) {
+      product(id: $id) {
+        ${PRODUCT_FIELDS}
       }
-    };
+    }
+  `, { id: productId });
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => data += chunk);
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data);
-          
-          if (response.errors) {
-            console.error('GraphQL errors:', response.errors);
-            reject(new Error('GraphQL query failed: ' + JSON.stringify(response.errors)));
-            return;
-          }
+  return data.product ? mapCompleteProductNode(data.product) : null;
+}
 
-          const products = response.data.products.edges.map(edge => ({
-            id: edge.node.id,
-            title: edge.node.title,
-            description: edge.node.descriptionHtml,
-            tags: edge.node.tags,
-            image: edge.node.images.edges.length > 0 ? edge.node.images.edges[0].node.url : null,
-            imageAlt: edge.node.images.edges.length > 0 ? edge.node.images.edges[0].node.altText : null,
-            variants: edge.node.variants.edges.map(variantEdge => ({
-              title: variantEdge.node.title,
-              price: variantEdge.node.price,
-              inventory_quantity: variantEdge.node.inventoryQuantity,
-              available_for_sale: variantEdge.node.availableForSale
-            }))
-          }));
-
-          const pageInfo = response.data.products.pageInfo;
-          
-          resolve({
-            products,
-            nextCursor: pageInfo.endCursor,
-            hasMore: pageInfo.hasNextPage
-          });
-
-        } catch (error) {
-          console.error('Error parsing GraphQL response:', error);
-          reject(error);
+// Find the product an inventory item belongs to (inventory_levels webhooks only carry the item)
+async function fetchProductIdForInventoryItem(inventoryItemId) {
+  const data = await shopifyGraphQL(`
+    query getInventoryItemProduct($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          product {
+            id
+          }
         }
-      });
-    });
+      }
+    }
+  `, { id: inventoryItemId });
 
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
+  const item = data.inventoryItem;
+  return item && item.variant && item.variant.product ? item.variant.product.id : null;
 }
 
 // Save products to MySQL
-async function saveProductsToMySQL(products) {
+// With a runId, what changed is recorded in sync_changes for that run (see sync-history.js)
+async function saveProductsToMySQL(products, pool, runId = null) {
+  const syncedAt = new Date();
   console.log('💾 Saving products to MySQL...');
   
-  const connection = await connectionPool.getConnection();
+  const connection = await pool.getConnection();
   
   try {
     await connection.beginTransaction();
     
     let productsUpdated = 0;
     let variantsUpdated = 0;
+    const changes = [];
+    const snapshots = runId ? await loadProductSnapshots(connection, products.map(product => product.id)) : null;
     
     for (const product of products) {
+      if (snapshots) {
+        const change = diffProduct(snapshots.get(product.id), product);
+        if (change) {
+          changes.push({ productId: product.id, productTitle: product.title, ...change });
+        }
+      }
+      
       // Insert or update product
       const productQuery = `
-        INSERT INTO products (id, title, description, tags, image_url, image_alt) 
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO products (
+          id, title, handle, online_store_url, vendor, product_type, description, tags,
+          image_url, image_alt, status, published, synced_at, deleted_at
+        ) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL)
         ON DUPLICATE KEY UPDATE 
           title = VALUES(title),
+          handle = VALUES(handle),
+          online_store_url = VALUES(online_store_url),
+          vendor = VALUES(vendor),
+          product_type = VALUES(product_type),
           description = VALUES(description),
           tags = VALUES(tags),
           image_url = VALUES(image_url),
           image_alt = VALUES(image_alt),
+          status = VALUES(status),
+          published = VALUES(published),
+          synced_at = VALUES(synced_at),
+          deleted_at = NULL,
           updated_at = CURRENT_TIMESTAMP
       `;
       
       await connection.execute(productQuery, [
         product.id,
         product.title,
+        product.handle,
+        product.onlineStoreUrl,
+        product.vendor,
+        product.productType,
         product.description,
         product.tags ? product.tags.join(', ') : null,
         product.image,
-        product.imageAlt
+        product.imageAlt,
+        product.status,
+        product.published,
+        syncedAt
       ]);
       
       productsUpdated++;
@@ -219,24 +500,66 @@ async function saveProductsToMySQL(products) {
       // Insert new variants
       for (const variant of product.variants) {
         const variantQuery = `
-          INSERT INTO product_variants (product_id, title, price, inventory_quantity, available_for_sale)
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO product_variants (
+            product_id, shopify_variant_id, title, sku, barcode, price, compare_at_price,
+            inventory_quantity, available_for_sale, selected_options, weight, weight_unit, image_url, image_alt
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         await connection.execute(variantQuery, [
           product.id,
+          variant.id,
           variant.title,
+          variant.sku,
+          variant.barcode,
           variant.price,
+          variant.compare_at_price,
           variant.inventory_quantity,
-          variant.available_for_sale
+          variant.available_for_sale,
+          JSON.stringify(variant.options),
+          variant.weight,
+          variant.weight_unit,
+          variant.image,
+          variant.image_alt
         ]);
         
         variantsUpdated++;
       }
+      
+      // Replace the image gallery and collection memberships
+      await connection.execute('DELETE FROM product_images WHERE product_id = ?', [product.id]);
+      
+      for (const [position, image] of (product.images || []).entries()) {
+        await connection.execute(
+          'INSERT INTO product_images (product_id, position, url, alt_text) VALUES (?, ?, ?, ?)',
+          [product.id, position, image.url, image.alt]
+        );
+      }
+      
+      await connection.execute('DELETE FROM product_collections WHERE product_id = ?', [product.id]);
+      
+      for (const collection of product.collections || []) {
+        await connection.execute(
+          'INSERT INTO product_collections (product_id, collection_id, handle, title) VALUES (?, ?, ?, ?)',
+          [product.id, collection.id, collection.handle, collection.title]
+        );
+      }
+      
+      // Replace extracted attributes (size, shape, stone, color, form) for this product
+      await connection.execute('DELETE FROM product_attributes WHERE product_id = ?', [product.id]);
+      
+      for (const [attributeType, attributeValue] of attributesToRows(extractProductAttributes(product))) {
+        await connection.execute(
+          'INSERT INTO product_attributes (product_id, attribute_type, attribute_value) VALUES (?, ?, ?)',
+          [product.id, attributeType, attributeValue]
+        );
+      }
     }
     
+    await recordChanges(connection, runId, changes);
     await connection.commit();
-    console.log(`✅ Saved ${productsUpdated} products and ${variantsUpdated} variants to MySQL`);
+    console.log(`✅ Saved ${productsUpdated} products and ${variantsUpdated} variants to MySQL${snapshots ? ` (${changes.length} changed)` : ''}`);
     
     return { productsUpdated, variantsUpdated };
     
@@ -248,14 +571,92 @@ async function saveProductsToMySQL(products) {
   }
 }
 
+// Soft-delete products: they stay in MySQL with a deleted_at timestamp and drop out of search
+// With a runId, the removals are recorded in sync_changes for that run
+async function markProductsDeleted(productIds, pool, runId = null) {
+  let productsRemoved = 0;
+  
+  for (let i = 0; i < productIds.length; i += REMOVE_BATCH_SIZE) {
+    const batch = productIds.slice(i, i + REMOVE_BATCH_SIZE);
+    const placeholders = batch.map(() => '?').join(', ');
+    
+    let removing = [];
+    if (runId) {
+      [removing] = await pool.execute(`SELECT id, title FROM products WHERE deleted_at IS NULL AND id IN (${placeholders})`, batch);
+    }
+    
+    const [result] = await pool.execute(
+      `UPDATE products SET deleted_at = CURRENT_TIMESTAMP WHERE deleted_at IS NULL AND id IN (${placeholders})`,
+      batch
+    );
+    productsRemoved += result.affectedRows || 0;
+    
+    if (runId) {
+      await recordChanges(pool, runId, removing.map(row => ({ productId: row.id, productTitle: row.title, type: 'removed', fields: null })));
+    }
+  }
+  
+  if (productsRemoved > 0) {
+    console.log(`🗑️ Marked ${productsRemoved} product(s) as deleted in MySQL`);
+  }
+  
+  return { productsRemoved };
+}
+
+// Soft-delete products that a full sync no longer got back from Shopify - every product it saved
+// has synced_at at or after the sync's start, including pages saved before an interruption
+async function removeMissingProducts(pool, syncStartedAt, runId) {
+  const [rows] = await pool.execute(
+    'SELECT id FROM products WHERE deleted_at IS NULL AND (synced_at IS NULL OR synced_at < ?)',
+    [syncStartedAt]
+  );
+  const missingIds = rows.map(row => row.id);
+  
+  console.log(`🔎 ${missingIds.length} product(s) in MySQL are no longer in Shopify`);
+  return markProductsDeleted(missingIds, pool, runId);
+}
+
+// Tell the search service (index.js) to drop its product cache so changes show up immediately
+// Failures are only logged - the cache expires on its own after a few minutes anyway
+async function invalidateSearchCache(productIds = []) {
+  if (!SEARCH_SERVICE_URL) {
+    return false;
+  }
+  
+  try {
+    const response = await fetch(`${SEARCH_SERVICE_URL}/api/cache/invalidate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Cache-Invalidate-Token': CACHE_INVALIDATE_TOKEN || ''
+      },
+      body: JSON.stringify({ productIds }),
+      signal: AbortSignal.timeout(5000)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    console.log('🧹 Search service cache invalidated');
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Failed to invalidate search service cache:', error.message);
+    return false;
+  }
+}
+
 // Log sync operation
-async function logSyncOperation(productsFetched, productsUpdated, variantsFetched, variantsUpdated, status, errorMessage, durationSeconds) {
-  const connection = await connectionPool.getConnection();
+// syncInfo: { mode: 'full' | 'incremental', watermarkFrom, watermarkTo, productsRemoved,
+//   trigger: 'manual' | 'schedule' | 'webhook', scheduleId, runId }
+async function logSyncOperation(pool, productsFetched, productsUpdated, variantsFetched, variantsUpdated, status, errorMessage, durationSeconds, syncInfo = {}) {
+  const connection = await pool.getConnection();
   
   try {
     const query = `
-      INSERT INTO sync_log (products_fetched, products_updated, variants_fetched, variants_updated, status, error_message, duration_seconds)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO sync_log (products_fetched, products_updated, variants_fetched, variants_updated, status, error_message, duration_seconds, sync_mode, watermark_from, watermark_to, products_removed, triggered_by, schedule_id, run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await connection.execute(query, [
@@ -265,7 +666,14 @@ async function logSyncOperation(productsFetched, productsUpdated, variantsFetche
       variantsUpdated,
       status,
       errorMessage,
-      durationSeconds
+      durationSeconds,
+      syncInfo.mode || 'full',
+      syncInfo.watermarkFrom || null,
+      syncInfo.watermarkTo || null,
+      syncInfo.productsRemoved || 0,
+      syncInfo.trigger || 'manual',
+      syncInfo.scheduleId || null,
+      syncInfo.runId || null
     ]);
     
     console.log('📊 Sync operation logged to database');
@@ -277,93 +685,505 @@ async function logSyncOperation(productsFetched, productsUpdated, variantsFetche
   }
 }
 
+// Function to build the error a cancelled sync stops with
+function createCancelledError() {
+  const error = new Error('Sync cancelled');
+  error.code = 'SYNC_CANCELLED';
+  return error;
+}
+
+// Count the products MySQL has now - a full sync will fetch about as many
+async function countActiveProducts(pool) {
+  const [rows] = await pool.execute('SELECT COUNT(*) as count FROM products WHERE deleted_at IS NULL');
+  return rows[0].count;
+}
+
+// Function to add what saving a page of products would change to a dry run's report
+// Reads MySQL through a single connection and writes nothing
+async function previewProductChanges(products, pool, report) {
+  const connection = await pool.getConnection();
+  
+  try {
+    const snapshots = await loadProductSnapshots(connection, products.map(product => product.id));
+    
+    products.forEach(product => {
+      const change = diffProduct(snapshots.get(product.id), product);
+      if (!change) {
+        report.summary.unchanged++;
+        return;
+      }
+      
+      if (change.type === 'added') {
+        report.inserts.push({ id: product.id, title: product.title, handle: product.handle, variants: product.variants.length });
+        return;
+      }
+      
+      // Variant-level changes get a row each; the rest are the product's own fields
+      const fields = {};
+      let variantChanges = 0;
+      Object.entries(change.fields || {}).forEach(([field, value]) => {
+        if (field === 'variants') {
+          value.added.forEach(variant => report.variantChanges.push({ productId: product.id, productTitle: product.title, variant, field: 'added', from: null, to: null }));
+          value.removed.forEach(variant => report.variantChanges.push({ productId: product.id, productTitle: product.title, variant, field: 'removed', from: null, to: null }));
+          variantChanges += value.added.length + value.removed.length;
+        } else if (Array.isArray(value)) {
+          value.forEach(({ variant, from, to }) => report.variantChanges.push({ productId: product.id, productTitle: product.title, variant, field, from, to }));
+          variantChanges += value.length;
+        } else {
+          fields[field] = value;
+        }
+      });
+      
+      report.updates.push({ id: product.id, title: product.title, restored: change.type === 'restored', fields, variantChanges });
+    });
+  } finally {
+    connection.release();
+  }
+}
+
+// Function to add the products a full sync would mark deleted to a dry run's report
+async function previewMissingProducts(pool, seenIds, report) {
+  const [rows] = await pool.execute('SELECT id, title FROM products WHERE deleted_at IS NULL ORDER BY id');
+  rows
+    .filter(row => !seenIds.has(row.id))
+    .forEach(row => report.deletions.push({ id: row.id, title: row.title }));
+}
+
+// Dry run: fetch from Shopify like a sync would and compare every product with MySQL, without
+// writing anything (no products, checkpoint, sync_log entry or change records, and the search
+// cache is left alone). Always fetches the whole catalog, whatever the watermark, so products
+// missing from Shopify are reported too. Takes the same options as syncShopifyToMySQL, except
+// full (always) and restart (there is nothing to resume). Returns the usual counts plus report:
+//   summary: { mode, deletionsChecked, productsFetched, variantsFetched, inserts, updates, restores,
+//     unchanged, variantChanges, deletions } - deletionsChecked is false when Shopify returned no
+//     products, as a sync then doesn't remove any either
+//   inserts: [{ id, title, handle, variants }] - products MySQL doesn't have yet
+//   updates: [{ id, title, restored, fields, variantChanges }] - fields: product fields as in sync_changes
+//   variantChanges: [{ productId, productTitle, variant, field, from, to }] - field is a variant
+//     field (price, stock, ...) or 'added' / 'removed' for whole variants
+//   deletions: [{ id, title }] - products a full sync would mark deleted
+async function dryRunShopifySync(options = {}) {
+  const startTime = Date.now();
+  const totals = { pagesDone: 0, productsFetched: 0, variantsFetched: 0 };
+  const report = {
+    dryRun: true,
+    mode: 'full',
+    generatedAt: null,
+    summary: { mode: 'full', deletionsChecked: false, productsFetched: 0, variantsFetched: 0, inserts: 0, updates: 0, restores: 0, unchanged: 0, variantChanges: 0, deletions: 0 },
+    inserts: [],
+    updates: [],
+    variantChanges: [],
+    deletions: []
+  };
+  let estimatedTotal = null;
+  let pool = options.pool || null;
+  
+  const reportProgress = (stage) => {
+    if (options.onProgress) {
+      options.onProgress({ stage, mode: report.mode, dryRun: true, estimatedTotal, ...totals, productsUpdated: 0, variantsUpdated: 0, productsRemoved: 0 });
+    }
+  };
+  
+  console.log('🧪 Starting Shopify to MySQL dry run (nothing will be written)...');
+  
+  try {
+    if ((!SHOPIFY_SHOP && !SHOPIFY_GRAPHQL_URL) || !SHOPIFY_TOKEN) {
+      throw new Error('Missing Shopify configuration. Check your .env file.');
+    }
+    
+    if (!pool) {
+      pool = await createMySQLPool();
+    }
+    await checkSchema(pool);
+    
+    estimatedTotal = await countActiveProducts(pool);
+    
+    console.log('🔄 Fetching all products from Shopify...');
+    reportProgress('fetching');
+    const seenIds = new Set();
+    let cursor = null;
+    let hasMore = true;
+    
+    while (hasMore) {
+      if (options.signal && options.signal.aborted) {
+        throw createCancelledError();
+      }
+      
+      const page = await fetchProductsPage(cursor);
+      await previewProductChanges(page.products, pool, report);
+      page.products.forEach(product => seenIds.add(product.id));
+      
+      totals.pagesDone++;
+      totals.productsFetched += page.products.length;
+      totals.variantsFetched += page.products.reduce((total, p) => total + p.variants.length, 0);
+      console.log(`📄 Page ${totals.pagesDone}: ${page.products.length} products, total: ${totals.productsFetched}`);
+      
+      hasMore = page.hasMore;
+      cursor = page.nextCursor;
+      reportProgress('fetching');
+    }
+    
+    // Same rule as the sync: only a non-empty catalog shows which products are gone
+    const deletionsChecked = totals.productsFetched > 0;
+    if (deletionsChecked) {
+      reportProgress('removing');
+      await previewMissingProducts(pool, seenIds, report);
+    } else {
+      console.log('⚠️ Shopify returned no products, a sync would skip removal of missing products');
+    }
+    
+    report.generatedAt = new Date().toISOString();
+    report.summary = {
+      mode: report.mode,
+      deletionsChecked,
+      productsFetched: totals.productsFetched,
+      variantsFetched: totals.variantsFetched,
+      inserts: report.inserts.length,
+      updates: report.updates.filter(update => !update.restored).length,
+      restores: report.updates.filter(update => update.restored).length,
+      unchanged: report.summary.unchanged,
+      variantChanges: report.variantChanges.length,
+      deletions: report.deletions.length
+    };
+    
+    const durationSeconds = (Date.now() - startTime) / 1000;
+    const { summary } = report;
+    console.log(`🧪 Full dry run completed in ${durationSeconds.toFixed(2)} seconds - nothing was written`);
+    console.log(`📊 Products: ${summary.inserts} new, ${summary.updates} updated, ${summary.restores} restored, ${summary.unchanged} unchanged, ${deletionsChecked ? summary.deletions : 'unchecked'} to remove; variant changes: ${summary.variantChanges}`);
+    reportProgress('done');
+    
+    return {
+      success: true,
+      dryRun: true,
+      mode: report.mode,
+      pagesFetched: totals.pagesDone,
+      productsFetched: totals.productsFetched,
+      variantsFetched: totals.variantsFetched,
+      durationSeconds,
+      report
+    };
+    
+  } catch (error) {
+    const cancelled = error.code === 'SYNC_CANCELLED';
+    if (cancelled) {
+      console.log('🛑 Dry run cancelled');
+    } else {
+      console.error('❌ Dry run failed:', error.message);
+    }
+    reportProgress(cancelled ? 'cancelled' : 'failed');
+    
+    return {
+      success: false,
+      dryRun: true,
+      cancelled,
+      mode: report.mode,
+      error: error.message,
+      resumable: false,
+      pagesFetched: totals.pagesDone,
+      productsFetched: totals.productsFetched,
+      variantsFetched: totals.variantsFetched,
+      durationSeconds: (Date.now() - startTime) / 1000
+    };
+  } finally {
+    if (pool && !options.pool) {
+      await pool.end();
+    }
+  }
+}
+
 // Main sync function
-async function syncShopifyToMySQL() {
+// Incremental by default: only products updated since the last successful sync's watermark.
+// options.full forces a full resync (also used when there is no watermark yet).
+// Each page is saved to MySQL as soon as it is fetched and checkpointed; a sync that fails part
+// way is resumed from its checkpoint next time, unless options.restart starts over.
+// options.pool: MySQL pool to use (the caller keeps ownership); without it the sync opens and
+//   closes its own.
+// options.onProgress(progress): called as the sync moves along (stage, pages and product counts).
+// options.signal: AbortSignal - the sync stops after the page it is on and can be resumed later.
+// options.trigger: what started the run for sync_log - 'manual' (default) or 'schedule' with
+//   options.scheduleId.
+// options.dryRun: only report what the sync would change (see dryRunShopifySync).
+async function syncShopifyToMySQL(options = {}) {
+  if (options.dryRun) {
+    return dryRunShopifySync(options);
+  }
+  
   const startTime = Date.now();
+  const syncInfo = {
+    mode: 'full',
+    watermarkFrom: null,
+    watermarkTo: null,
+    productsRemoved: 0,
+    trigger: options.trigger || 'manual',
+    scheduleId: options.scheduleId || null,
+    runId: createRunId() // Each attempt of a resumed sync gets its own, with its own change records
+  };
+  const totals = { pagesDone: 0, productsFetched: 0, productsUpdated: 0, variantsFetched: 0, variantsUpdated: 0 };
+  let resumedFromPage = 0;
+  let resumable = false;
+  let estimatedTotal = null;
+  let pool = options.pool || null;
+  
+  const reportProgress = (stage) => {
+    if (options.onProgress) {
+      options.onProgress({ stage, mode: syncInfo.mode, resumedFromPage, estimatedTotal, ...totals, productsRemoved: syncInfo.productsRemoved });
+    }
+  };
+  const throwIfCancelled = () => {
+    if (options.signal && options.signal.aborted) {
+      throw createCancelledError();
+    }
+  };
+  
   console.log('🚀 Starting Shopify to MySQL sync...');
   
   try {
     // Check configuration
-    if (!SHOPIFY_SHOP || !SHOPIFY_TOKEN) {
+    if ((!SHOPIFY_SHOP && !SHOPIFY_GRAPHQL_URL) || !SHOPIFY_TOKEN) {
       throw new Error('Missing Shopify configuration. Check your .env file.');
     }
     
     // Initialize MySQL
-    const mysqlReady = await initMySQL();
-    if (!mysqlReady) {
-      throw new Error('MySQL connection failed');
+    if (!pool) {
+      pool = await createMySQLPool();
+    }
+    await checkSchema(pool);
+    
+    // Resume an interrupted sync, or pick the sync mode for a new one
+    let checkpoint = options.restart ? null : await loadSyncCheckpoint(pool);
+    if (checkpoint && options.full && checkpoint.sync_mode !== 'full') {
+      console.log('🔁 Full resync requested, discarding the interrupted incremental sync');
+      checkpoint = null;
+    }
+    
+    let searchQuery = null;
+    let cursor = null;
+    let startedAt;
+    
+    if (checkpoint) {
+      syncInfo.mode = checkpoint.sync_mode;
+      syncInfo.watermarkFrom = checkpoint.watermark_from;
+      syncInfo.watermarkTo = checkpoint.watermark_to;
+      searchQuery = checkpoint.search_query;
+      cursor = checkpoint.page_cursor;
+      startedAt = new Date(checkpoint.started_at);
+      totals.pagesDone = checkpoint.pages_done;
+      totals.productsFetched = checkpoint.products_fetched;
+      totals.productsUpdated = checkpoint.products_updated;
+      totals.variantsFetched = checkpoint.variants_fetched;
+      totals.variantsUpdated = checkpoint.variants_updated;
+      resumedFromPage = checkpoint.pages_done;
+      resumable = true;
+      console.log(`♻️ Resuming interrupted ${syncInfo.mode} sync after page ${resumedFromPage} (${totals.productsFetched} products already saved)`);
+    } else {
+      await clearSyncCheckpoint(pool);
+      // Whole seconds, as MySQL stores synced_at
+      startedAt = new Date(Math.floor(startTime / 1000) * 1000);
+      
+      const lastWatermark = options.full ? null : await getLastSyncWatermark(pool);
+      if (lastWatermark) {
+        syncInfo.mode = 'incremental';
+        syncInfo.watermarkFrom = lastWatermark;
+        syncInfo.watermarkTo = lastWatermark;
+        searchQuery = buildUpdatedSinceQuery(lastWatermark);
+        console.log(`⏩ Incremental sync: products updated since ${lastWatermark}`);
+      } else {
+        console.log(options.full ? '🔁 Full resync requested' : '🔁 No previous sync watermark, running a full sync');
+      }
     }
     
-    // Fetch products from Shopify
-    const products = await fetchAllProductsFromShopify();
-    const variantsCount = products.reduce((total, p) => total + p.variants.length, 0);
+    if (syncInfo.mode === 'full') {
+      estimatedTotal = await countActiveProducts(pool);
+    }
     
-    // Save to MySQL
-    const { productsUpdated, variantsUpdated } = await saveProductsToMySQL(products);
+    // Fetch and save products from Shopify, one page at a time
+    console.log(`🔄 Fetching products from Shopify${searchQuery ? ` (${searchQuery})` : ''}...`);
+    reportProgress('fetching');
+    let hasMore = true;
+    
+    while (hasMore) {
+      throwIfCancelled();
+      
+      const page = await fetchProductsPage(cursor, searchQuery);
+      const { productsUpdated, variantsUpdated } = await saveProductsToMySQL(page.products, pool, syncInfo.runId);
+      
+      totals.pagesDone++;
+      totals.productsFetched += page.products.length;
+      totals.productsUpdated += productsUpdated;
+      totals.variantsFetched += page.products.reduce((total, p) => total + p.variants.length, 0);
+      totals.variantsUpdated += variantsUpdated;
+      syncInfo.watermarkTo = getNewWatermark(page.products, syncInfo.watermarkTo);
+      
+      console.log(`📄 Page ${totals.pagesDone}: ${page.products.length} products, total: ${totals.productsFetched}`);
+      
+      hasMore = page.hasMore;
+      cursor = page.nextCursor;
+      
+      if (hasMore) {
+        await saveSyncCheckpoint(pool, { ...syncInfo, ...totals, searchQuery, cursor, startedAt });
+        resumable = true;
+      }
+      reportProgress('fetching');
+    }
+    
+    console.log(`✅ Total products fetched: ${totals.productsFetched}`);
+    
+    // Only a full sync sees the whole catalog, so only it can tell which products are gone.
+    // An empty catalog is more likely a Shopify/API problem than a shop with no products.
+    if (syncInfo.mode === 'full') {
+      if (totals.productsFetched > 0) {
+        reportProgress('removing');
+        syncInfo.productsRemoved = (await removeMissingProducts(pool, startedAt, syncInfo.runId)).productsRemoved;
+      } else {
+        console.log('⚠️ Shopify returned no products, skipping removal of missing products');
+      }
+    }
+    
+    await clearSyncCheckpoint(pool);
+    resumable = false;
+    await pruneSyncChanges(pool);
+    
+    // Let the search service pick up the changes
+    if (totals.productsFetched > 0 || syncInfo.productsRemoved > 0) {
+      await invalidateSearchCache();
+    }
     
     // Calculate duration
     const durationSeconds = (Date.now() - startTime) / 1000;
     
     // Log success
     await logSyncOperation(
-      products.length,
-      productsUpdated,
-      variantsCount,
-      variantsUpdated,
+      pool,
+      totals.productsFetched,
+      totals.productsUpdated,
+      totals.variantsFetched,
+      totals.variantsUpdated,
       'success',
       null,
-      durationSeconds
+      durationSeconds,
+      syncInfo
     );
     
-    console.log(`🎉 Sync completed successfully in ${durationSeconds.toFixed(2)} seconds`);
-    console.log(`📊 Products: ${productsUpdated}/${products.length}, Variants: ${variantsUpdated}/${variantsCount}`);
+    console.log(`🎉 ${syncInfo.mode === 'incremental' ? 'Incremental' : 'Full'} sync completed successfully in ${durationSeconds.toFixed(2)} seconds`);
+    console.log(`📊 Products: ${totals.productsUpdated}/${totals.productsFetched}, Variants: ${totals.variantsUpdated}/${totals.variantsFetched}, Removed: ${syncInfo.productsRemoved}`);
+    reportProgress('done');
     
     return {
       success: true,
-      productsFetched: products.length,
-      productsUpdated,
-      variantsFetched: variantsCount,
-      variantsUpdated,
+      mode: syncInfo.mode,
+      watermarkFrom: syncInfo.watermarkFrom,
+      watermarkTo: syncInfo.watermarkTo,
+      resumedFromPage,
+      pagesFetched: totals.pagesDone,
+      productsFetched: totals.productsFetched,
+      productsUpdated: totals.productsUpdated,
+      productsRemoved: syncInfo.productsRemoved,
+      variantsFetched: totals.variantsFetched,
+      variantsUpdated: totals.variantsUpdated,
       durationSeconds
     };
     
   } catch (error) {
-    console.error('❌ Sync failed:', error.message);
+    const cancelled = error.code === 'SYNC_CANCELLED';
+    if (cancelled) {
+      console.log('🛑 Sync cancelled');
+    } else {
+      console.error('❌ Sync failed:', error.message);
+    }
+    if (resumable) {
+      console.log(`💾 Progress saved after page ${totals.pagesDone}, the next sync will resume from there`);
+    }
     
     const durationSeconds = (Date.now() - startTime) / 1000;
     
-    // Log error
-    await logSyncOperation(
-      0, 0, 0, 0,
-      'error',
-      error.message,
-      durationSeconds
-    );
+    // Pages saved before the failure are already in MySQL
+    if (totals.pagesDone > resumedFromPage) {
+      await invalidateSearchCache();
+    }
+    
+    // Log error (there is nothing to log to when MySQL itself failed)
+    if (pool) {
+      let status = totals.productsUpdated > 0 ? 'partial' : 'error';
+      if (cancelled) {
+        status = 'cancelled';
+      }
+      
+      await logSyncOperation(
+        pool,
+        totals.productsFetched,
+        totals.productsUpdated,
+        totals.variantsFetched,
+        totals.variantsUpdated,
+        status,
+        error.message,
+        durationSeconds,
+        syncInfo
+      );
+    }
+    reportProgress(cancelled ? 'cancelled' : 'failed');
     
     return {
       success: false,
+      cancelled,
+      mode: syncInfo.mode,
       error: error.message,
+      resumable,
+      resumedFromPage,
+      pagesFetched: totals.pagesDone,
+      productsFetched: totals.productsFetched,
+      productsUpdated: totals.productsUpdated,
+      variantsFetched: totals.variantsFetched,
+      variantsUpdated: totals.variantsUpdated,
       durationSeconds
     };
   } finally {
-    if (connectionPool) {
-      await connectionPool.end();
+    // Only close the pool this run opened
+    if (pool && !options.pool) {
+      await pool.end();
     }
   }
 }
 
 // Export for use in other files
-module.exports = { syncShopifyToMySQL };
+module.exports = {
+  syncShopifyToMySQL,
+  fetchProductById,
+  fetchProductIdForInventoryItem,
+  saveProductsToMySQL,
+  markProductsDeleted,
+  invalidateSearchCache,
+  logSyncOperation
+};
+
+// Function to get the value after a command line flag (null when the flag isn't given)
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 && process.argv[index + 1] && !process.argv[index + 1].startsWith('--') ? process.argv[index + 1] : null;
+}
 
 // Run directly if called from command line
+// Usage: node shopify-to-mysql-sync.js [--full] [--restart]
+//        node shopify-to-mysql-sync.js --dry-run [--report <file>]
+// A dry run writes its JSON report to --report (default: sync-dry-run-report.json)
 if (require.main === module) {
-  syncShopifyToMySQL()
+  const dryRun = process.argv.includes('--dry-run');
+  
+  syncShopifyToMySQL({
+    full: process.argv.includes('--full'),
+    restart: process.argv.includes('--restart'),
+    dryRun
+  })
     .then(result => {
-      if (result.success) {
+      if (result.success && dryRun) {
+        const reportPath = path.resolve(getArgValue('--report') || 'sync-dry-run-report.json');
+        fs.writeFileSync(reportPath, JSON.stringify(result.report, null, 2));
+        console.log(`📝 Dry run report written to ${reportPath}`);
+        process.exit(0);
+      } else if (result.success) {
         console.log('✅ Sync completed successfully');
         process.exit(0);
       } else {
-        console.error('❌ Sync failed');
+        console.error(dryRun ? '❌ Dry run failed' : '❌ Sync failed');
         process.exit(1);
       }
     })
@@ -0,0 +1,187 @@
+// Shopify webhooks - keep MySQL up to date between syncs
+// products/create, products/update, products/delete and inventory_levels/update each touch
+// a single product: it is re-fetched through the same GraphQL mapping as a sync (or soft-deleted),
+// then the search service is told to drop its product cache. Each one is recorded in sync_log
+// as an incremental run triggered by 'webhook', with its change record (see sync-history.js).
+// Shopify gives up on a delivery after 5 seconds, so webhooks are acknowledged as soon as they
+// are verified and applied afterwards from an in-memory queue, one at a time.
+
+const crypto = require('crypto');
+const {
+  fetchProductById,
+  fetchProductIdForInventoryItem,
+  saveProductsToMySQL,
+  markProductsDeleted,
+  invalidateSearchCache,
+  logSyncOperation
+} = require('./shopify-to-mysql-sync');
+const { createRunId } = require('./sync-history');
+
+const SUPPORTED_TOPICS = ['products/create', 'products/update', 'products/delete', 'inventory_levels/update'];
+const PROCESSED_WEBHOOK_LIMIT = 1000; // Webhook IDs remembered to skip Shopify's duplicate deliveries
+
+const processedWebhookIds = new Set();
+const webhookQueue = []; // Accepted webhooks waiting to be applied, oldest first
+let queueRunning = false;
+
+// Function to verify a webhook's X-Shopify-Hmac-Sha256 header against the raw request body
+function verifyShopifyWebhook(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Function to turn a webhook payload's numeric ID into a GraphQL ID
+function toGlobalId(type, payload) {
+  if (payload.admin_graphql_api_id) {
+    return payload.admin_graphql_api_id;
+  }
+  return payload.id ? `gid://shopify/${type}/${payload.id}` : null;
+}
+
+// Function to remember a webhook ID - returns false when it was already processed
+function markWebhookProcessed(webhookId) {
+  if (!webhookId) {
+    return true;
+  }
+  if (processedWebhookIds.has(webhookId)) {
+    return false;
+  }
+
+  processedWebhookIds.add(webhookId);
+  if (processedWebhookIds.size > PROCESSED_WEBHOOK_LIMIT) {
+    processedWebhookIds.delete(processedWebhookIds.values().next().value);
+  }
+  return true;
+}
+
+// Function to re-fetch one product from Shopify and save it (or remove it if it no longer exists)
+// Adds what it did to counts (see applyShopifyWebhook) and returns 'updated' or 'deleted'
+async function refreshProduct(productId, pool, counts, runId) {
+  const product = await fetchProductById(productId);
+
+  if (!product) {
+    console.log(`⚠️ Product ${productId} no longer exists in Shopify, removing it`);
+    counts.productsRemoved = (await markProductsDeleted([productId], pool, runId)).productsRemoved;
+    return 'deleted';
+  }
+
+  const { productsUpdated, variantsUpdated } = await saveProductsToMySQL([product], pool, runId);
+  counts.productsFetched = 1;
+  counts.productsUpdated = productsUpdated;
+  counts.variantsFetched = product.variants.length;
+  counts.variantsUpdated = variantsUpdated;
+  return 'updated';
+}
+
+// Function to record a handled webhook in sync_log
+async function logWebhook(pool, runId, counts, status, errorMessage, startTime) {
+  await logSyncOperation(
+    pool,
+    counts.productsFetched,
+    counts.productsUpdated,
+    counts.variantsFetched,
+    counts.variantsUpdated,
+    status,
+    errorMessage,
+    (Date.now() - startTime) / 1000,
+    { mode: 'incremental', productsRemoved: counts.productsRemoved, trigger: 'webhook', runId }
+  );
+}
+
+// Function to apply an accepted webhook to MySQL
+async function applyShopifyWebhook(topic, payload, pool) {
+  const startTime = Date.now();
+  const runId = createRunId();
+  const counts = { productsFetched: 0, productsUpdated: 0, variantsFetched: 0, variantsUpdated: 0, productsRemoved: 0 };
+  let productId;
+  let action;
+
+  try {
+    if (topic === 'inventory_levels/update') {
+      const inventoryItemId = payload.inventory_item_id ? `gid://shopify/InventoryItem/${payload.inventory_item_id}` : null;
+      productId = inventoryItemId ? await fetchProductIdForInventoryItem(inventoryItemId) : null;
+      if (!productId) {
+        console.log(`⚠️ No product found for inventory item ${payload.inventory_item_id}`);
+        return { topic, action: 'ignored' };
+      }
+      action = await refreshProduct(productId, pool, counts, runId);
+    } else {
+      productId = toGlobalId('Product', payload);
+      if (!productId) {
+        throw new Error(`Shopify ${topic} webhook has no product ID`);
+      }
+
+      if (topic === 'products/delete') {
+        counts.productsRemoved = (await markProductsDeleted([productId], pool, runId)).productsRemoved;
+        action = 'deleted';
+      } else {
+        action = await refreshProduct(productId, pool, counts, runId);
+      }
+    }
+  } catch (error) {
+    await logWebhook(pool, runId, counts, 'error', `${topic}: ${error.message}`, startTime);
+    throw error;
+  }
+
+  console.log(`🪝 Shopify ${topic}: product ${productId} ${action}`);
+  await logWebhook(pool, runId, counts, 'success', null, startTime);
+  await invalidateSearchCache([productId]);
+
+  return { topic, action, productId };
+}
+
+// Function to apply the queued webhooks one at a time - failures are logged, not thrown
+async function processWebhookQueue() {
+  if (queueRunning) {
+    return;
+  }
+  queueRunning = true;
+
+  while (webhookQueue.length > 0) {
+    const { topic, payload, webhookId, getPool } = webhookQueue.shift();
+    try {
+      const pool = await getPool();
+      if (!pool) {
+        throw new Error('MySQL connection failed');
+      }
+      await applyShopifyWebhook(topic, payload, pool);
+    } catch (error) {
+      // Shopify already has its 200 - a redelivery of this webhook is applied again
+      processedWebhookIds.delete(webhookId);
+      console.error(`❌ Shopify webhook ${topic}${webhookId ? ` (${webhookId})` : ''} failed:`, error.message);
+    }
+  }
+
+  queueRunning = false;
+}
+
+// Function to accept a verified webhook: returns straight away and applies it in the background
+// getPool resolves to the MySQL pool, or null when MySQL can't be reached
+// Returns { topic, action } with action 'queued', 'ignored' (unsupported topic) or 'duplicate'
+function queueShopifyWebhook(topic, payload, getPool, webhookId = null) {
+  if (!SUPPORTED_TOPICS.includes(topic)) {
+    console.log(`⚠️ Ignoring unsupported Shopify webhook topic: ${topic}`);
+    return { topic, action: 'ignored' };
+  }
+
+  if (!markWebhookProcessed(webhookId)) {
+    console.log(`⏭️ Shopify webhook ${webhookId} already processed`);
+    return { topic, action: 'duplicate' };
+  }
+
+  webhookQueue.push({ topic, payload, webhookId, getPool });
+  processWebhookQueue();
+  return { topic, action: 'queued' };
+}
+
+module.exports = {
+  SUPPORTED_TOPICS,
+  verifyShopifyWebhook,
+  queueShopifyWebhook
+};
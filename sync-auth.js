@@ -0,0 +1,176 @@
+// Sync server authentication - who may use the dashboard and the admin APIs
+// Access is granted by the API keys in SYNC_API_KEYS: comma-separated "name:role:key" entries.
+// Scripts send a key with every request (Authorization: Bearer <key> or X-API-Key); the dashboard
+// signs in with a key once and then uses a session cookie. Sessions live in the server's memory.
+// Roles: viewer (dashboard, history and reports) and operator (also starts and cancels syncs and
+// manages schedules). Without keys every admin request is refused, unless SYNC_AUTH_DISABLED=true.
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator']; // Each role may do everything the ones before it may
+const API_KEY_MIN_LENGTH = 16;
+const SESSION_COOKIE = 'sync_session';
+const SESSION_HOURS = parseInt(process.env.SYNC_SESSION_HOURS, 10) || 12;
+// Local development only - every request is treated as an operator
+const AUTH_DISABLED = process.env.SYNC_AUTH_DISABLED === 'true';
+
+const sessions = new Map(); // Session token -> { name, role, expiresAt }
+
+// Function to hash a key so keys of any length can be compared in constant time
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+// Function to read SYNC_API_KEYS - bad entries are logged and left out
+function parseApiKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+      if (!name || !ROLES.includes(role) || key.length < API_KEY_MIN_LENGTH) {
+        console.error(`❌ Ignoring SYNC_API_KEYS entry "${name || entry.slice(0, 8)}": expected name:role:key with role ${ROLES.join(' or ')} and a key of at least ${API_KEY_MIN_LENGTH} characters`);
+        return null;
+      }
+      return { name, role, hash: hashKey(key) };
+    })
+    .filter(Boolean);
+}
+
+const apiKeys = parseApiKeys(process.env.SYNC_API_KEYS);
+
+// Function to find who an API key belongs to (null when it isn't one of SYNC_API_KEYS)
+function findApiKey(key) {
+  if (!key) {
+    return null;
+  }
+
+  // Check every key so the time taken doesn't tell which one came close
+  const hash = hashKey(key);
+  let user = null;
+  apiKeys.forEach(apiKey => {
+    if (crypto.timingSafeEqual(apiKey.hash, hash) && !user) {
+      user = { name: apiKey.name, role: apiKey.role };
+    }
+  });
+  return user;
+}
+
+// Function to read one cookie from a request (null when it wasn't sent)
+function getCookie(req, name) {
+  const cookies = String(req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const index = cookie.indexOf('=');
+    if (index !== -1 && cookie.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(cookie.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Function to get the session a request's cookie points to (null when missing or expired)
+function getSession(req) {
+  const token = getCookie(req, SESSION_COOKIE);
+  const session = token ? sessions.get(token) : null;
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+// Function to work out who sent a request: { name, role } or null
+// An API key in the headers wins over the session cookie
+function authenticate(req) {
+  if (AUTH_DISABLED) {
+    return { name: 'local', role: 'operator' };
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+  if (key) {
+    return findApiKey(key);
+  }
+
+  const session = getSession(req);
+  return session ? { name: session.name, role: session.role } : null;
+}
+
+// Function to build middleware that lets through requests from the role given or a higher one
+// 401 when the request isn't signed in, 403 when its role isn't enough; sets req.user
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in or send an API key' });
+    }
+    if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+// Function to sign in with an API key - sets the session cookie and returns the user (null for a bad key)
+function createSession(req, res, key) {
+  const user = findApiKey(key);
+  if (!user) {
+    console.log(`⚠️ Failed sync dashboard sign-in from ${req.ip}`);
+    return null;
+  }
+
+  // Forget expired sessions while we're here
+  const now = Date.now();
+  sessions.forEach((session, token) => {
+    if (session.expiresAt <= now) {
+      sessions.delete(token);
+    }
+  });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const maxAge = SESSION_HOURS * 60 * 60 * 1000;
+  sessions.set(token, { ...user, expiresAt: now + maxAge });
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure: req.secure, maxAge });
+
+  console.log(`🔐 ${user.name} (${user.role}) signed in to the sync dashboard`);
+  return user;
+}
+
+// Function to sign out - ends the request's session and clears its cookie
+function destroySession(req, res) {
+  const token = getCookie(req, SESSION_COOKIE);
+  if (token) {
+    sessions.delete(token);
+  }
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', secure: req.secure });
+}
+
+// Function to log how access is set up when the server starts
+function logAuthConfig() {
+  if (AUTH_DISABLED) {
+    console.log('⚠️ Sync server authentication is disabled (SYNC_AUTH_DISABLED=true) - anyone who can reach it is an operator');
+  } else if (apiKeys.length === 0) {
+    console.log('⚠️ SYNC_API_KEYS is not set - the dashboard and admin APIs refuse every request');
+  } else {
+    const counts = ROLES.map(role => `${apiKeys.filter(apiKey => apiKey.role === role).length} ${role}`);
+    console.log(`🔐 ${apiKeys.length} sync API key(s) configured (${counts.join(', ')})`);
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  createSession,
+  destroySession,
+  logAuthConfig
+};
@@ -0,0 +1,306 @@
+// Sync history - what every sync run changed, product by product
+// Each run (a sync, a resumed sync or a webhook) gets a run ID that is stored with its sync_log
+// entry. While saving, the sync compares each product with what MySQL had and records the products
+// it added, changed (product fields, variant prices, stock and so on), restored or removed in
+// sync_changes. A dry run uses the same comparison without saving anything.
+// Powers the sync server's /api/sync-history and the dashboard's history view.
+
+const crypto = require('crypto');
+
+const SYNC_CHANGES_RETENTION_DAYS = parseInt(process.env.SYNC_CHANGES_RETENTION_DAYS, 10) || 90;
+const CHANGE_INSERT_BATCH_SIZE = 100; // Change records per INSERT
+const SYNC_STATUSES = ['success', 'error', 'partial', 'cancelled'];
+const SYNC_TRIGGERS = ['manual', 'schedule', 'webhook'];
+const CHANGE_TYPES = ['added', 'changed', 'restored', 'removed'];
+
+// Function to create the ID a run's sync_log entry and change records share
+function createRunId() {
+  return crypto.randomUUID();
+}
+
+// Product columns compared with what Shopify sent: reported name, column and how the sync maps it
+const PRODUCT_FIELDS = [
+  { name: 'title', column: 'title', value: product => product.title },
+  { name: 'handle', column: 'handle', value: product => product.handle },
+  { name: 'onlineStoreUrl', column: 'online_store_url', value: product => product.onlineStoreUrl },
+  { name: 'vendor', column: 'vendor', value: product => product.vendor },
+  { name: 'productType', column: 'product_type', value: product => product.productType },
+  { name: 'status', column: 'status', value: product => product.status },
+  { name: 'published', column: 'published', value: product => product.published, type: 'boolean' },
+  { name: 'tags', column: 'tags', value: product => (product.tags ? product.tags.join(', ') : null) },
+  { name: 'image', column: 'image_url', value: product => product.image },
+  { name: 'imageAlt', column: 'image_alt', value: product => product.imageAlt },
+  // Too long to keep both versions - only reported as changed
+  { name: 'description', column: 'description', value: product => product.description, valueless: true }
+];
+
+// Variant columns compared the same way
+const VARIANT_FIELDS = [
+  { name: 'price', column: 'price', value: variant => variant.price, type: 'number' },
+  { name: 'compareAtPrice', column: 'compare_at_price', value: variant => variant.compare_at_price, type: 'number' },
+  { name: 'stock', column: 'inventory_quantity', value: variant => variant.inventory_quantity, type: 'number' },
+  { name: 'availableForSale', column: 'available_for_sale', value: variant => variant.available_for_sale, type: 'boolean' },
+  { name: 'sku', column: 'sku', value: variant => variant.sku },
+  { name: 'barcode', column: 'barcode', value: variant => variant.barcode },
+  { name: 'weight', column: 'weight', value: variant => variant.weight, type: 'number' },
+  { name: 'weightUnit', column: 'weight_unit', value: variant => variant.weight_unit }
+];
+
+// Function to put a MySQL or Shopify value in one form for comparing (null when missing)
+function normalizeValue(value, type) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'boolean') {
+    return Boolean(value);
+  }
+  return String(value);
+}
+
+// Function to key a variant - its Shopify ID, or its title for rows synced before IDs were stored
+function variantKey(variantId, title) {
+  return variantId || `title:${title}`;
+}
+
+// Function to load what MySQL has for some products, to compare them with what Shopify sent
+async function loadProductSnapshots(connection, productIds) {
+  const snapshots = new Map();
+  if (productIds.length === 0) {
+    return snapshots;
+  }
+
+  const placeholders = productIds.map(() => '?').join(', ');
+  const [products] = await connection.execute(
+    `SELECT id, deleted_at, ${PRODUCT_FIELDS.map(field => field.column).join(', ')} FROM products WHERE id IN (${placeholders})`,
+    productIds
+  );
+  products.forEach(row => {
+    snapshots.set(row.id, {
+      deleted: Boolean(row.deleted_at),
+      fields: Object.fromEntries(PRODUCT_FIELDS.map(field => [field.name, normalizeValue(row[field.column], field.type)])),
+      variants: new Map()
+    });
+  });
+
+  const [variants] = await connection.execute(
+    `SELECT product_id, shopify_variant_id, title, ${VARIANT_FIELDS.map(field => field.column).join(', ')} FROM product_variants WHERE product_id IN (${placeholders})`,
+    productIds
+  );
+  variants.forEach(row => {
+    const snapshot = snapshots.get(row.product_id);
+    if (snapshot) {
+      snapshot.variants.set(variantKey(row.shopify_variant_id, row.title), {
+        title: row.title,
+        fields: Object.fromEntries(VARIANT_FIELDS.map(field => [field.name, normalizeValue(row[field.column], field.type)]))
+      });
+    }
+  });
+
+  return snapshots;
+}
+
+// Function to work out how a product (as the sync maps it) differs from its snapshot
+// Returns { type: 'added' | 'changed' | 'restored', fields } or null when nothing changed.
+// fields (changed ones only): product fields as { from, to } (description as { changed: true }),
+// variant fields as [{ variant, from, to }], and variants { added, removed } by title.
+function diffProduct(snapshot, product) {
+  if (!snapshot) {
+    return { type: 'added', fields: null };
+  }
+
+  const fields = {};
+  PRODUCT_FIELDS.forEach(field => {
+    const value = normalizeValue(field.value(product), field.type);
+    if (value !== snapshot.fields[field.name]) {
+      fields[field.name] = field.valueless ? { changed: true } : { from: snapshot.fields[field.name], to: value };
+    }
+  });
+
+  const added = [];
+  const matched = new Set();
+
+  product.variants.forEach(variant => {
+    let key = variantKey(variant.id, variant.title);
+    if (!snapshot.variants.has(key)) {
+      key = variantKey(null, variant.title);
+    }
+    const before = snapshot.variants.get(key);
+    if (!before || matched.has(key)) {
+      added.push(variant.title);
+      return;
+    }
+    matched.add(key);
+
+    VARIANT_FIELDS.forEach(field => {
+      const value = normalizeValue(field.value(variant), field.type);
+      if (value !== before.fields[field.name]) {
+        fields[field.name] = fields[field.name] || [];
+        fields[field.name].push({ variant: variant.title, from: before.fields[field.name], to: value });
+      }
+    });
+  });
+
+  const removed = [...snapshot.variants]
+    .filter(([key]) => !matched.has(key))
+    .map(([, variant]) => variant.title);
+  if (added.length > 0 || removed.length > 0) {
+    fields.variants = { added, removed };
+  }
+
+  const changed = Object.keys(fields).length > 0;
+  // A product marked deleted that comes back is restored, changed or not
+  if (snapshot.deleted) {
+    return { type: 'restored', fields: changed ? fields : null };
+  }
+  return changed ? { type: 'changed', fields } : null;
+}
+
+// Function to store a run's change records - changes: [{ productId, productTitle, type, fields }]
+async function recordChanges(connection, runId, changes) {
+  for (let i = 0; i < changes.length; i += CHANGE_INSERT_BATCH_SIZE) {
+    const batch = changes.slice(i, i + CHANGE_INSERT_BATCH_SIZE);
+    await connection.execute(
+      `INSERT INTO sync_changes (run_id, product_id, product_title, change_type, changed_fields) VALUES ${batch.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      batch.flatMap(change => [
+        runId,
+        change.productId,
+        change.productTitle ? String(change.productTitle).substring(0, 500) : null,
+        change.type,
+        change.fields ? JSON.stringify(change.fields) : null
+      ])
+    );
+  }
+}
+
+// Function to forget change records older than SYNC_CHANGES_RETENTION_DAYS - failures are only logged
+async function pruneSyncChanges(pool) {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM sync_changes WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [SYNC_CHANGES_RETENTION_DAYS]
+    );
+    if (result.affectedRows > 0) {
+      console.log(`🧹 Removed ${result.affectedRows} sync change record(s) older than ${SYNC_CHANGES_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to prune sync change records:', error.message);
+  }
+}
+
+// Function to read the history's paging and filter options from query parameters
+// status, trigger and type take comma-separated lists, e.g. ?status=error,partial&trigger=manual,schedule
+function parseHistoryOptions(query) {
+  const page = parseInt(query.page, 10);
+  const pageSize = parseInt(query.pageSize, 10);
+  const pick = (value, allowed) => String(value || '').split(',').filter(item => allowed.includes(item));
+
+  return {
+    page: page > 0 ? page : 1,
+    pageSize: pageSize > 0 ? Math.min(pageSize, 100) : 20,
+    statuses: pick(query.status, SYNC_STATUSES),
+    triggers: pick(query.trigger, SYNC_TRIGGERS),
+    changeTypes: pick(query.type, CHANGE_TYPES)
+  };
+}
+
+// Function to build a WHERE clause from { column: allowed values } (columns without values aren't filtered)
+function buildInFilter(filters) {
+  const conditions = [];
+  const params = [];
+
+  Object.entries(filters).forEach(([column, values]) => {
+    if (values.length > 0) {
+      conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  });
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Function to get a page of sync_log entries, newest first, each with its change counts
+async function getSyncHistory(connection, { page, pageSize, statuses, triggers }) {
+  const { where, params } = buildInFilter({ status: statuses, triggered_by: triggers });
+
+  const [countRows] = await connection.execute(`SELECT COUNT(*) AS total FROM sync_log ${where}`, params);
+  const [runs] = await connection.execute(`
+    SELECT * FROM sync_log
+    ${where}
+    ORDER BY id DESC
+    LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+  `, params);
+
+  const runIds = runs.map(run => run.run_id).filter(Boolean);
+  const counts = new Map();
+  if (runIds.length > 0) {
+    const [rows] = await connection.execute(`
+      SELECT run_id, change_type, COUNT(*) AS count
+      FROM sync_changes
+      WHERE run_id IN (${runIds.map(() => '?').join(', ')})
+      GROUP BY run_id, change_type
+    `, runIds);
+    rows.forEach(row => {
+      const runCounts = counts.get(row.run_id) || {};
+      runCounts[row.change_type] = Number(row.count);
+      counts.set(row.run_id, runCounts);
+    });
+  }
+
+  return {
+    page,
+    pageSize,
+    total: Number(countRows[0].total),
+    runs: runs.map(run => ({
+      ...run,
+      changes: Object.fromEntries(CHANGE_TYPES.map(type => [type, (counts.get(run.run_id) || {})[type] || 0]))
+    }))
+  };
+}
+
+// Function to get one sync_log entry with a page of its change records (null when it doesn't exist)
+async function getSyncRun(connection, id, { page, pageSize, changeTypes }) {
+  const [runs] = await connection.execute('SELECT * FROM sync_log WHERE id = ?', [id]);
+  if (runs.length === 0) {
+    return null;
+  }
+
+  const run = runs[0];
+  // Entries logged before change records existed have no run ID
+  if (!run.run_id) {
+    return { run, changes: { page, pageSize, total: 0, rows: [] } };
+  }
+
+  const { where, params } = buildInFilter({ run_id: [run.run_id], change_type: changeTypes });
+  const [countRows] = await connection.execute(`SELECT COUNT(*) AS total FROM sync_changes ${where}`, params);
+  const [rows] = await connection.execute(`
+    SELECT product_id, product_title, change_type, changed_fields, created_at
+    FROM sync_changes
+    ${where}
+    ORDER BY id
+    LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+  `, params);
+
+  return {
+    run,
+    changes: {
+      page,
+      pageSize,
+      total: Number(countRows[0].total),
+      rows: rows.map(row => ({ ...row, changed_fields: row.changed_fields ? JSON.parse(row.changed_fields) : null }))
+    }
+  };
+}
+
+module.exports = {
+  createRunId,
+  loadProductSnapshots,
+  diffProduct,
+  recordChanges,
+  pruneSyncChanges,
+  parseHistoryOptions,
+  getSyncHistory,
+  getSyncRun
+};
@@ -0,0 +1,183 @@
+// Sync jobs - syncShopifyToMySQL runs in the background of the sync server
+// POST /api/sync starts a job and answers with its ID straight away. Only one job runs at a
+// time; starting another while it runs is refused. A job keeps its latest progress and pushes
+// every update to its subscribers (the dashboard's Server-Sent Events stream). A dry run's report
+// is kept with its job and fetched on its own, as it can be large.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { syncShopifyToMySQL } = require('./shopify-to-mysql-sync');
+
+const FINISHED_JOB_LIMIT = 20; // Finished jobs remembered for GET /api/sync/jobs
+
+const jobs = new Map(); // Job ID -> job, oldest first
+let runningJob = null;
+
+// Function to get the part of a job that is sent to clients
+function toJobSummary(job) {
+  let result = job.result;
+  if (result && result.report) {
+    const { report, ...rest } = result;
+    result = { ...rest, summary: report.summary };
+  }
+  
+  return {
+    id: job.id,
+    status: job.status,
+    cancelRequested: job.cancelRequested,
+    options: job.options,
+    progress: job.progress,
+    result,
+    error: job.error,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Function to forget the oldest finished jobs
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(job => job.status !== 'running');
+  finished.slice(0, Math.max(0, finished.length - FINISHED_JOB_LIMIT)).forEach(job => jobs.delete(job.id));
+}
+
+// Function to record how a job ended and tell its subscribers
+function finishJob(job, result) {
+  if (result.success) {
+    job.status = 'succeeded';
+  } else {
+    job.status = result.cancelled ? 'cancelled' : 'failed';
+  }
+  job.result = result;
+  job.error = result.success ? null : result.error;
+  job.finishedAt = new Date().toISOString();
+  runningJob = null;
+
+  console.log(`🏁 Sync job ${job.id} ${job.status}`);
+  job.events.emit('done', toJobSummary(job));
+  job.events.removeAllListeners();
+  pruneFinishedJobs();
+}
+
+// Function to start a sync job - throws an error with code SYNC_RUNNING while another one runs
+// options: { full, restart, dryRun, trigger, scheduleId } as for syncShopifyToMySQL, and startedBy;
+// pool: the caller's MySQL pool
+function startSyncJob(options, pool) {
+  if (runningJob) {
+    const error = new Error(`Sync job ${runningJob.id} is already running`);
+    error.code = 'SYNC_RUNNING';
+    error.jobId = runningJob.id;
+    throw error;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    cancelRequested: false,
+    options: {
+      full: Boolean(options.full),
+      restart: Boolean(options.restart),
+      dryRun: Boolean(options.dryRun),
+      trigger: options.trigger || 'manual',
+      scheduleId: options.scheduleId || null,
+      startedBy: options.startedBy || null // Signed-in user behind a manual sync
+    },
+    progress: { stage: 'starting' },
+    result: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    events: new EventEmitter(),
+    abortController: new AbortController()
+  };
+
+  runningJob = job;
+  jobs.set(job.id, job);
+  const labels = [job.options.full && 'full', job.options.dryRun && 'dry run'].filter(Boolean);
+  console.log(`🚀 Sync job ${job.id} started${labels.length > 0 ? ` (${labels.join(', ')})` : ''} by ${job.options.trigger}${job.options.startedBy ? ` (${job.options.startedBy})` : ''}`);
+
+  syncShopifyToMySQL({
+    ...job.options,
+    pool,
+    signal: job.abortController.signal,
+    onProgress: (progress) => {
+      job.progress = progress;
+      job.events.emit('progress', progress);
+    }
+  })
+    .then(result => finishJob(job, result))
+    .catch(error => finishJob(job, { success: false, error: error.message }));
+
+  return toJobSummary(job);
+}
+
+// Function to ask a running job to stop - it stops after the page it is on (null when unknown)
+function cancelSyncJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'running' && !job.cancelRequested) {
+    job.cancelRequested = true;
+    job.abortController.abort();
+    console.log(`🛑 Cancelling sync job ${job.id}`);
+  }
+
+  return toJobSummary(job);
+}
+
+// Function to follow a job: listener(event, data) gets 'progress' updates and a final 'done'
+// Returns a function that stops listening, or null when the job is unknown
+function subscribeToSyncJob(jobId, listener) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status !== 'running') {
+    listener('done', toJobSummary(job));
+    return () => {};
+  }
+
+  const onProgress = (progress) => listener('progress', progress);
+  const onDone = (summary) => listener('done', summary);
+  job.events.on('progress', onProgress);
+  job.events.on('done', onDone);
+
+  return () => {
+    job.events.off('progress', onProgress);
+    job.events.off('done', onDone);
+  };
+}
+
+// Function to look up a job (null when unknown)
+function getSyncJob(jobId) {
+  const job = jobs.get(jobId);
+  return job ? toJobSummary(job) : null;
+}
+
+// Function to get a finished dry run's report (null when the job is unknown or has no report)
+function getSyncJobReport(jobId) {
+  const job = jobs.get(jobId);
+  return job && job.result && job.result.report ? job.result.report : null;
+}
+
+// Function to list the running job and recently finished ones, newest first
+function listSyncJobs() {
+  return [...jobs.values()].reverse().map(toJobSummary);
+}
+
+// Function to get the running job (null when no sync is running)
+function getRunningSyncJob() {
+  return runningJob ? toJobSummary(runningJob) : null;
+}
+
+module.exports = {
+  startSyncJob,
+  cancelSyncJob,
+  subscribeToSyncJob,
+  getSyncJob,
+  getSyncJobReport,
+  listSyncJobs,
+  getRunningSyncJob
+};
@@ -0,0 +1,256 @@
+// Scheduled syncs - sync-server.js runs the rows of sync_schedules on their cron expressions
+// At the start of every minute the scheduler reloads the schedules and starts each enabled one
+// that is due as a sync job (see sync-jobs.js). A schedule that comes due while a sync is still
+// running is skipped until its next run; runs missed while the server was down are not made up.
+
+const { parseCronExpression, getNextRunTime } = require('./cron-expression');
+const { startSyncJob } = require('./sync-jobs');
+
+const SYNC_MODES = ['full', 'incremental'];
+const SCHEDULE_NAME_MAX_LENGTH = 100;
+
+let getPool = null; // See startSyncScheduler
+let schedules = []; // Loaded sync_schedules rows, with their next run
+let tickTimer = null;
+
+// Function to build the error a bad schedule is rejected with
+function createScheduleError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+// Function to get the part of a schedule that is sent to clients
+function toScheduleSummary(schedule) {
+  return {
+    id: schedule.id,
+    name: schedule.name,
+    cronExpression: schedule.cronExpression,
+    mode: schedule.mode,
+    enabled: schedule.enabled,
+    nextRunAt: schedule.nextRunAt ? schedule.nextRunAt.toISOString() : null,
+    lastRunAt: schedule.lastRunAt,
+    lastRunResult: schedule.lastRunResult,
+    error: schedule.error
+  };
+}
+
+// Function to reload the schedules from MySQL
+// A schedule whose expression and switch haven't changed keeps its next run, so a reload just
+// before a run is due doesn't push it back
+async function loadSchedules(pool) {
+  const [rows] = await pool.execute('SELECT * FROM sync_schedules ORDER BY id');
+  const previous = new Map(schedules.map(schedule => [schedule.id, schedule]));
+  const now = new Date();
+
+  schedules = rows.map(row => {
+    const schedule = {
+      id: row.id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      mode: row.sync_mode,
+      enabled: Boolean(row.enabled),
+      lastRunAt: row.last_run_at,
+      lastRunResult: row.last_run_result,
+      nextRunAt: null,
+      error: null
+    };
+    const before = previous.get(row.id);
+
+    if (before && before.enabled === schedule.enabled && before.cronExpression === schedule.cronExpression) {
+      schedule.nextRunAt = before.nextRunAt;
+      schedule.error = before.error;
+    } else if (schedule.enabled) {
+      // Expressions are checked when saved through the API, but the table can be edited by hand
+      try {
+        schedule.nextRunAt = getNextRunTime(schedule.cronExpression, now);
+      } catch (error) {
+        schedule.error = error.message;
+        console.error(`❌ Sync schedule "${schedule.name}" is not scheduled:`, error.message);
+      }
+    }
+
+    return schedule;
+  });
+
+  return schedules;
+}
+
+// Function to start one due schedule - returns 'started', 'skipped' or 'error'
+function runSchedule(schedule, pool) {
+  try {
+    const job = startSyncJob({ full: schedule.mode === 'full', trigger: 'schedule', scheduleId: schedule.id }, pool);
+    console.log(`⏰ Scheduled sync "${schedule.name}" started job ${job.id}`);
+    return 'started';
+  } catch (error) {
+    if (error.code === 'SYNC_RUNNING') {
+      console.log(`⏭️ Skipping scheduled sync "${schedule.name}": sync job ${error.jobId} is still running`);
+      return 'skipped';
+    }
+    console.error(`❌ Scheduled sync "${schedule.name}" failed to start:`, error.message);
+    return 'error';
+  }
+}
+
+// Function to start every schedule that is due, full syncs first (they cover incremental ones)
+async function runDueSchedules() {
+  const pool = await getPool();
+  if (!pool) {
+    return;
+  }
+
+  const now = new Date();
+  const due = (await loadSchedules(pool))
+    .filter(schedule => schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now)
+    .sort((a, b) => SYNC_MODES.indexOf(a.mode) - SYNC_MODES.indexOf(b.mode));
+
+  for (const schedule of due) {
+    schedule.lastRunAt = now;
+    schedule.lastRunResult = runSchedule(schedule, pool);
+    schedule.nextRunAt = getNextRunTime(schedule.cronExpression, now);
+
+    await pool.execute(
+      'UPDATE sync_schedules SET last_run_at = ?, last_run_result = ? WHERE id = ?',
+      [now, schedule.lastRunResult, schedule.id]
+    );
+  }
+}
+
+// Function to wait for the start of the next minute, then check the schedules
+function scheduleTick() {
+  const now = new Date();
+  const delay = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
+
+  tickTimer = setTimeout(async () => {
+    try {
+      await runDueSchedules();
+    } catch (error) {
+      console.error('❌ Sync scheduler error:', error.message);
+    }
+    if (tickTimer) {
+      scheduleTick();
+    }
+  }, delay);
+}
+
+// Function to start the scheduler
+// poolProvider: async function returning the MySQL pool to run syncs with, or null while MySQL is down
+async function startSyncScheduler(poolProvider) {
+  getPool = poolProvider;
+
+  try {
+    const pool = await getPool();
+    if (pool) {
+      const loaded = await loadSchedules(pool);
+      console.log(`⏰ Sync scheduler started (${loaded.filter(schedule => schedule.enabled).length} enabled schedule(s))`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to load sync schedules:', error.message);
+  }
+
+  scheduleTick();
+}
+
+// Function to stop the scheduler
+function stopSyncScheduler() {
+  clearTimeout(tickTimer);
+  tickTimer = null;
+}
+
+// Function to check a new or changed schedule - input fields as in toScheduleSummary
+// Throws an error with code INVALID_SCHEDULE; returns the sync_schedules columns to save
+function validateSchedule(input, existing = null) {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > SCHEDULE_NAME_MAX_LENGTH) {
+      throw createScheduleError(`name must be 1-${SCHEDULE_NAME_MAX_LENGTH} characters`);
+    }
+    fields.name = name;
+  }
+
+  if (input.cronExpression !== undefined || !existing) {
+    try {
+      parseCronExpression(input.cronExpression);
+    } catch (error) {
+      throw createScheduleError(error.message);
+    }
+    fields.cron_expression = String(input.cronExpression).trim();
+  }
+
+  if (input.mode !== undefined) {
+    if (!SYNC_MODES.includes(input.mode)) {
+      throw createScheduleError(`mode must be one of: ${SYNC_MODES.join(', ')}`);
+    }
+    fields.sync_mode = input.mode;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      throw createScheduleError('enabled must be true or false');
+    }
+    fields.enabled = input.enabled;
+  }
+
+  return fields;
+}
+
+// Function to list the schedules with their next run
+async function listSyncSchedules(pool) {
+  return (await loadSchedules(pool)).map(toScheduleSummary);
+}
+
+// Function to add a schedule - { name, cronExpression, mode, enabled }
+async function createSyncSchedule(pool, input) {
+  const fields = validateSchedule(input);
+  const columns = Object.keys(fields);
+
+  const [result] = await pool.execute(
+    `INSERT INTO sync_schedules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(fields)
+  );
+
+  console.log(`⏰ Added sync schedule "${fields.name}" (${fields.cron_expression})`);
+  return (await listSyncSchedules(pool)).find(schedule => schedule.id === result.insertId);
+}
+
+// Function to change a schedule - only the fields given are changed (null when it doesn't exist)
+async function updateSyncSchedule(pool, id, input) {
+  const existing = (await loadSchedules(pool)).find(schedule => schedule.id === id);
+  if (!existing) {
+    return null;
+  }
+
+  const fields = validateSchedule(input, existing);
+  const columns = Object.keys(fields);
+  if (columns.length > 0) {
+    await pool.execute(
+      `UPDATE sync_schedules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(fields), id]
+    );
+    console.log(`⏰ Updated sync schedule ${id}`);
+  }
+
+  return (await listSyncSchedules(pool)).find(schedule => schedule.id === id);
+}
+
+// Function to remove a schedule - returns false when it doesn't exist
+async function deleteSyncSchedule(pool, id) {
+  const [result] = await pool.execute('DELETE FROM sync_schedules WHERE id = ?', [id]);
+  await loadSchedules(pool);
+
+  if (result.affectedRows > 0) {
+    console.log(`⏰ Removed sync schedule ${id}`);
+  }
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  startSyncScheduler,
+  stopSyncScheduler,
+  listSyncSchedules,
+  createSyncSchedule,
+  updateSyncSchedule,
+  deleteSyncSchedule
+};
@@ -1,6 +1,33 @@
 const express = require('express');
 const path = require('path');
-const { syncShopifyToMySQL } = require('./shopify-to-mysql-sync');
+const {
+  startSyncJob,
+  cancelSyncJob,
+  subscribeToSyncJob,
+  getSyncJob,
+  getSyncJobReport,
+  listSyncJobs,
+  getRunningSyncJob
+} = require('./sync-jobs');
+const {
+  startSyncScheduler,
+  stopSyncScheduler,
+  listSyncSchedules,
+  createSyncSchedule,
+  updateSyncSchedule,
+  deleteSyncSchedule
+} = require('./sync-scheduler');
+const { verifyShopifyWebhook, queueShopifyWebhook } = require('./shopify-webhooks');
+const { authenticate, requireRole, createSession, destroySession, logAuthConfig } = require('./sync-auth');
+const {
+  parseReportOptions,
+  getTopQueries,
+  getZeroResultQueries,
+  getFrequentCorrections,
+  getMissingStones
+} = require('./search-log');
+const { parseHistoryOptions, getSyncHistory, getSyncRun } = require('./sync-history');
+const { assertSchemaUpToDate } = require('./migrate');
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
@@ -12,14 +39,24 @@ const MYSQL_HOST = process.env.MYSQL_HOST || 'localhost';
 const MYSQL_USER = process.env.MYSQL_USER || 'root';
 const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD || '';
 const MYSQL_DATABASE = process.env.MYSQL_DATABASE || 'rezagemcollection';
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+// Set to false on all but one sync server when several run against the same database
+const SYNC_SCHEDULER_ENABLED = process.env.SYNC_SCHEDULER_ENABLED !== 'false';
+
+// Comment lines sent on idle progress streams so proxies don't close them
+const SSE_HEARTBEAT_MS = 15000;
 
 // MySQL connection pool
 let connectionPool;
 
 // Initialize MySQL connection
+// connectionPool is only set once the connection and the schema check have both worked, so a
+// failed start is retried (and the schema checked) by the next request that needs MySQL
 async function initMySQL() {
+  let pool = null;
+  
   try {
-    connectionPool = mysql.createPool({
+    pool = mysql.createPool({
       host: MYSQL_HOST,
       user: MYSQL_USER,
       password: MYSQL_PASSWORD,
@@ -29,29 +66,69 @@ async function initMySQL() {
       queueLimit: 0
     });
 
-    // Test connection
-    const connection = await connectionPool.getConnection();
-    console.log('✅ MySQL connected successfully');
-    connection.release();
+    // Test connection and check the schema (migrate.js creates and changes the tables)
+    const connection = await pool.getConnection();
+    try {
+      console.log('✅ MySQL connected successfully');
+      await assertSchemaUpToDate(connection);
+    } finally {
+      connection.release();
+    }
     
+    connectionPool = pool;
     return true;
   } catch (error) {
+    if (pool) {
+      await pool.end().catch(() => {});
+    }
+    // An out-of-date schema is not something a retry will fix
+    if (error.code === 'SCHEMA_OUTDATED') {
+      throw error;
+    }
     console.error('❌ MySQL connection failed:', error.message);
     return false;
   }
 }
 
-// Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname)));
+// Middleware - keep the raw body around for Shopify webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Routes
+// Every /api route below needs a signed-in viewer, or an operator to change anything (see
+// sync-auth.js). The dashboard page is the only file served; it signs in before loading anything.
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'sync-ui.html'));
 });
 
-// API endpoint to trigger sync
-app.post('/api/sync', async (req, res) => {
+// Dashboard sign-in: who is signed in, sign in with an API key ({"apiKey": "..."}), sign out
+app.get('/api/session', (req, res) => {
+  const user = authenticate(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  res.json({ user });
+});
+
+app.post('/api/session', (req, res) => {
+  const user = createSession(req, res, req.body && req.body.apiKey);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  res.json({ success: true, user });
+});
+
+app.delete('/api/session', (req, res) => {
+  destroySession(req, res);
+  res.json({ success: true });
+});
+
+// API endpoint to start a sync job - answers with the job straight away (202), or 409 while
+// another sync is running
+app.post('/api/sync', requireRole('operator'), async (req, res) => {
   try {
     console.log('🔄 Sync request received');
     
@@ -66,16 +143,19 @@ app.post('/api/sync', async (req, res) => {
       }
     }
     
-    // Start the sync process
-    const result = await syncShopifyToMySQL();
+    // Incremental unless a full resync is requested. An interrupted sync is resumed unless
+    // restart is set. A dry run only reports what would change (see /api/sync/jobs/:id/report).
+    const full = (req.body && req.body.full === true) || req.query.full === 'true';
+    const restart = (req.body && req.body.restart === true) || req.query.restart === 'true';
+    const dryRun = (req.body && req.body.dryRun === true) || req.query.dryRun === 'true';
+    const job = startSyncJob({ full, restart, dryRun, trigger: 'manual', startedBy: req.user.name }, connectionPool);
     
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(500).json(result);
-    }
+    res.status(202).json({ success: true, job });
     
   } catch (error) {
+    if (error.code === 'SYNC_RUNNING') {
+      return res.status(409).json({ success: false, error: error.message, jobId: error.jobId });
+    }
     console.error('❌ Sync API error:', error);
     res.status(500).json({ 
       success: false, 
@@ -84,8 +164,172 @@ app.post('/api/sync', async (req, res) => {
   }
 });
 
+// Sync jobs: the running one and recently finished ones
+app.get('/api/sync/jobs', requireRole('viewer'), (req, res) => {
+  const runningJob = getRunningSyncJob();
+  res.json({ runningJobId: runningJob ? runningJob.id : null, jobs: listSyncJobs() });
+});
+
+app.get('/api/sync/jobs/:id', requireRole('viewer'), (req, res) => {
+  const job = getSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  res.json(job);
+});
+
+// A finished dry run's JSON report: inserts, updates, variant changes and deletions
+// (?download=true to save it as a file)
+app.get('/api/sync/jobs/:id/report', requireRole('viewer'), (req, res) => {
+  const job = getSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  
+  const report = getSyncJobReport(job.id);
+  if (!report) {
+    const reason = job.options.dryRun ? `Dry run ${job.status === 'running' ? 'still running' : 'has no report'}` : 'Not a dry run';
+    return res.status(job.status === 'running' ? 409 : 404).json({ error: reason });
+  }
+  
+  if (req.query.download === 'true') {
+    res.attachment(`sync-dry-run-${job.id}.json`);
+  }
+  res.json(report);
+});
+
+// Cancel a running sync job - it stops after the page it is on and can be resumed later
+app.post('/api/sync/jobs/:id/cancel', requireRole('operator'), (req, res) => {
+  const job = cancelSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  if (job.status !== 'running') {
+    return res.status(409).json({ error: `Sync job already ${job.status}`, job });
+  }
+  res.status(202).json({ success: true, job });
+});
+
+// Function to run a sync schedule API request - action(pool) returns the response body, or null
+// when the schedule doesn't exist
+async function sendScheduleResponse(res, action, successStatus = 200) {
+  try {
+    if (!connectionPool) {
+      const mysqlReady = await initMySQL();
+      if (!mysqlReady) {
+        return res.status(500).json({ error: 'MySQL connection failed' });
+      }
+    }
+    
+    const body = await action(connectionPool);
+    if (!body) {
+      return res.status(404).json({ error: 'Sync schedule not found' });
+    }
+    res.status(successStatus).json(body);
+    
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Sync schedule API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Function to read a schedule ID from the URL (null when it can't be one)
+function parseScheduleId(req) {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Sync schedules (see sync-scheduler.js): { name, cronExpression, mode, enabled }
+app.get('/api/sync/schedules', requireRole('viewer'), (req, res) => sendScheduleResponse(res, async (pool) => ({
+  schedulerEnabled: SYNC_SCHEDULER_ENABLED,
+  schedules: await listSyncSchedules(pool)
+})));
+
+app.post('/api/sync/schedules', requireRole('operator'), (req, res) => sendScheduleResponse(res, async (pool) => ({
+  success: true,
+  schedule: await createSyncSchedule(pool, req.body || {})
+}), 201));
+
+app.put('/api/sync/schedules/:id', requireRole('operator'), (req, res) => sendScheduleResponse(res, async (pool) => {
+  const id = parseScheduleId(req);
+  const schedule = id && await updateSyncSchedule(pool, id, req.body || {});
+  return schedule ? { success: true, schedule } : null;
+}));
+
+app.delete('/api/sync/schedules/:id', requireRole('operator'), (req, res) => sendScheduleResponse(res, async (pool) => {
+  const id = parseScheduleId(req);
+  const deleted = id && await deleteSyncSchedule(pool, id);
+  return deleted ? { success: true } : null;
+}));
+
+// Progress of a sync job as Server-Sent Events: 'job' (the job as it is now), then 'progress'
+// updates and a final 'done' with the finished job
+app.get('/api/sync/jobs/:id/events', requireRole('viewer'), (req, res) => {
+  const job = getSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  let unsubscribe = null;
+  let closed = false;
+  
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    res.end();
+  };
+  
+  sendEvent('job', job);
+  unsubscribe = subscribeToSyncJob(job.id, (event, data) => {
+    sendEvent(event, data);
+    if (event === 'done') {
+      close();
+    }
+  });
+  req.on('close', close);
+});
+
+// Function to get the MySQL pool for queued webhooks (null when MySQL can't be reached)
+async function getWebhookPool() {
+  if (!connectionPool && !(await initMySQL())) {
+    return null;
+  }
+  return connectionPool;
+}
+
+// Shopify webhook endpoint (products/create, products/update, products/delete, inventory_levels/update)
+// Answers as soon as the signature is checked - the product is refreshed afterwards
+app.post('/webhooks/shopify', (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  
+  if (!verifyShopifyWebhook(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), SHOPIFY_WEBHOOK_SECRET)) {
+    console.error(`❌ Rejected Shopify webhook with invalid signature (${topic || 'no topic'})`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  const result = queueShopifyWebhook(topic, req.body || {}, getWebhookPool, req.get('X-Shopify-Webhook-Id'));
+  res.json({ success: true, ...result });
+});
+
 // API endpoint to get last sync information
-app.get('/api/last-sync', async (req, res) => {
+app.get('/api/last-sync', requireRole('viewer'), async (req, res) => {
   try {
     if (!connectionPool) {
       const mysqlReady = await initMySQL();
@@ -99,7 +343,7 @@ app.get('/api/last-sync', async (req, res) => {
     try {
       const [rows] = await connection.execute(`
         SELECT * FROM sync_log 
-        WHERE status = 'success' 
+        WHERE status = 'success' AND triggered_by <> 'webhook' 
         ORDER BY sync_date DESC 
         LIMIT 1
       `);
@@ -118,8 +362,48 @@ app.get('/api/last-sync', async (req, res) => {
   }
 });
 
+// Function to run a sync history query and send it as JSON - query(connection, options) returns
+// the response body, or null when the entry doesn't exist
+async function sendSyncHistory(req, res, query) {
+  try {
+    if (!connectionPool) {
+      const mysqlReady = await initMySQL();
+      if (!mysqlReady) {
+        return res.status(500).json({ error: 'MySQL connection failed' });
+      }
+    }
+    
+    const options = parseHistoryOptions(req.query);
+    const connection = await connectionPool.getConnection();
+    
+    try {
+      const body = await query(connection, options);
+      if (!body) {
+        return res.status(404).json({ error: 'Sync run not found' });
+      }
+      res.json(body);
+    } finally {
+      connection.release();
+    }
+    
+  } catch (error) {
+    console.error('❌ Sync history API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Every sync run, newest first, with its change counts
+// (?page=1&pageSize=20&status=error,partial&trigger=manual,schedule)
+app.get('/api/sync-history', requireRole('viewer'), (req, res) => sendSyncHistory(req, res, getSyncHistory));
+
+// One sync run with the products it added, changed, restored and removed (?page=1&type=changed)
+app.get('/api/sync-history/:id', requireRole('viewer'), (req, res) => sendSyncHistory(req, res, (connection, options) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? getSyncRun(connection, id, options) : null;
+}));
+
 // API endpoint to get statistics
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requireRole('viewer'), async (req, res) => {
   try {
     if (!connectionPool) {
       const mysqlReady = await initMySQL();
@@ -131,18 +415,18 @@ app.get('/api/stats', async (req, res) => {
     const connection = await connectionPool.getConnection();
     
     try {
-      // Get total products count
-      const [productRows] = await connection.execute('SELECT COUNT(*) as count FROM products');
+      // Get total products count (soft-deleted products don't count)
+      const [productRows] = await connection.execute('SELECT COUNT(*) as count FROM products WHERE deleted_at IS NULL');
       const totalProducts = productRows[0].count;
       
       // Get total variants count
       const [variantRows] = await connection.execute('SELECT COUNT(*) as count FROM product_variants');
       const totalVariants = variantRows[0].count;
       
-      // Get last sync time
+      // Get last sync time (webhooks only touch single products)
       const [syncRows] = await connection.execute(`
         SELECT sync_date FROM sync_log 
-        WHERE status = 'success' 
+        WHERE status = 'success' AND triggered_by <> 'webhook' 
         ORDER BY sync_date DESC 
         LIMIT 1
       `);
@@ -167,6 +451,38 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Function to run a search analytics report and send it as JSON
+async function sendSearchReport(req, res, report) {
+  try {
+    if (!connectionPool) {
+      const mysqlReady = await initMySQL();
+      if (!mysqlReady) {
+        return res.status(500).json({ error: 'MySQL connection failed' });
+      }
+    }
+    
+    const options = parseReportOptions(req.query);
+    const connection = await connectionPool.getConnection();
+    
+    try {
+      const rows = await report(connection, options);
+      res.json({ ...options, count: rows.length, rows });
+    } finally {
+      connection.release();
+    }
+    
+  } catch (error) {
+    console.error('❌ Search report API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Search analytics reports (?days=30&limit=20)
+app.get('/api/reports/top-queries', requireRole('viewer'), (req, res) => sendSearchReport(req, res, getTopQueries));
+app.get('/api/reports/zero-results', requireRole('viewer'), (req, res) => sendSearchReport(req, res, getZeroResultQueries));
+app.get('/api/reports/corrections', requireRole('viewer'), (req, res) => sendSearchReport(req, res, getFrequentCorrections));
+app.get('/api/reports/missing-stones', requireRole('viewer'), (req, res) => sendSearchReport(req, res, getMissingStones));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -179,9 +495,23 @@ app.get('/health', (req, res) => {
 // Start server
 async function startServer() {
   try {
-    // Initialize MySQL connection
+    // Initialize MySQL connection - refuses to start against an out-of-date schema
     await initMySQL();
     
+    // Run scheduled syncs (connects to MySQL later if it isn't up yet)
+    if (SYNC_SCHEDULER_ENABLED) {
+      await startSyncScheduler(async () => {
+        if (!connectionPool && !(await initMySQL())) {
+          return null;
+        }
+        return connectionPool;
+      });
+    } else {
+      console.log('⏰ Sync scheduler disabled (SYNC_SCHEDULER_ENABLED=false)');
+    }
+    
+    logAuthConfig();
+    
     // Start Express server
     app.listen(PORT, () => {
       console.log(`🚀 Sync server running on http://localhost:${PORT}`);
@@ -198,6 +528,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  stopSyncScheduler();
   
   if (connectionPool) {
     await connectionPool.end();